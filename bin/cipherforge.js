@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+// Command-line entry point; see cli.js or run cipherforge --help
+const { run } = require('../cli.js');
+
+run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
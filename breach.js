@@ -0,0 +1,241 @@
+const fs = require('fs'); // Import the 'fs' module for file operations
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// Length of the SHA-1 prefix used to bucket hashes (k-anonymity range)
+const PREFIX_LENGTH = 5;
+
+const NEWLINE = 0x0a;
+
+/**
+ * Returns the uppercase hex SHA-1 of a password.
+ *
+ * @param {string} password - Password to hash.
+ * @returns {string} - 40-character uppercase hex digest.
+ */
+function sha1(password) {
+  return crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+}
+
+/**
+ * Checks whether a string is a valid range prefix (five hex characters).
+ *
+ * @param {string} prefix - Prefix to check.
+ * @returns {boolean} - True if valid.
+ */
+function isPrefix(prefix) {
+  return typeof prefix === 'string' && new RegExp(`^[0-9A-Fa-f]{${PREFIX_LENGTH}}$`).test(prefix);
+}
+
+/**
+ * Parses a range response body ("SUFFIX:COUNT" lines) and returns the count for one suffix.
+ *
+ * @param {string} body - Range body.
+ * @param {string} suffix - 35-character hash suffix.
+ * @returns {number} - Breach count, 0 if absent.
+ */
+function countInRange(body, suffix) {
+  for (const line of body.split(/\r?\n/)) {
+    const [lineSuffix, count] = line.trim().split(':');
+    if (lineSuffix && lineSuffix.toUpperCase() === suffix) return parseInt(count, 10) || 0;
+  }
+  return 0;
+}
+
+/**
+ * Local store of breached password hashes in the Pwned Passwords range-file layout:
+ * one "<PREFIX>.txt" file per 5-character SHA-1 prefix, each holding sorted "SUFFIX:COUNT" lines.
+ */
+class BreachStore {
+  /**
+   * @param {string} directory - Directory holding the range files.
+   */
+  constructor(directory) {
+    if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+      throw new Error(`breach store directory not found: ${directory}`);
+    }
+    this.directory = directory;
+  }
+
+  /**
+   * Returns how many times a SHA-1 hash appears in the breach corpus.
+   *
+   * @param {string} hash - 40-character hex SHA-1.
+   * @returns {number} - Breach count, 0 if not found.
+   */
+  lookup(hash) {
+    const upper = hash.toUpperCase();
+    const buffer = this._readRange(upper.slice(0, PREFIX_LENGTH));
+    return buffer ? BreachStore._binarySearch(buffer, upper.slice(PREFIX_LENGTH)) : 0;
+  }
+
+  /**
+   * Returns the raw range file for a prefix, as served by the /range/{prefix} API.
+   *
+   * @param {string} prefix - 5-character hex prefix.
+   * @returns {string} - "SUFFIX:COUNT" lines, empty if the prefix has no file.
+   */
+  range(prefix) {
+    if (!isPrefix(prefix)) throw new RangeError(`range prefix must be ${PREFIX_LENGTH} hex characters, got ${prefix}`);
+    const buffer = this._readRange(prefix.toUpperCase());
+    return buffer ? buffer.toString('ascii') : '';
+  }
+
+  /**
+   * Reads the range file for a prefix.
+   *
+   * @param {string} prefix - Uppercase 5-character hex prefix.
+   * @returns {Buffer|null} - File contents, or null if the file does not exist.
+   */
+  _readRange(prefix) {
+    try {
+      return fs.readFileSync(path.join(this.directory, `${prefix}.txt`));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Binary-searches sorted "SUFFIX:COUNT" lines for a suffix, directly on the file bytes.
+   *
+   * @param {Buffer} buffer - Range file contents.
+   * @param {string} suffix - Uppercase 35-character suffix.
+   * @returns {number} - Breach count, 0 if not found.
+   */
+  static _binarySearch(buffer, suffix) {
+    let low = 0;
+    let high = buffer.length;
+    while (low < high) {
+      // Snap the midpoint back to the start of its line
+      const mid = (low + high) >>> 1;
+      const start = mid === 0 ? 0 : buffer.lastIndexOf(NEWLINE, mid - 1) + 1;
+      let end = buffer.indexOf(NEWLINE, start);
+      if (end === -1) end = buffer.length;
+
+      const [lineSuffix, count] = buffer.toString('ascii', start, end).trim().split(':');
+      const key = (lineSuffix || '').toUpperCase();
+      if (key === suffix) return parseInt(count, 10) || 0;
+      if (key < suffix) low = end + 1;
+      else high = start;
+    }
+    return 0;
+  }
+}
+
+/**
+ * Checks passwords against breach data without sending them anywhere: only the SHA-1 is computed,
+ * and either looked up in a local BreachStore or resolved through a /range/{prefix} mirror that
+ * only ever sees the first five hex characters.
+ */
+class BreachChecker {
+  /**
+   * @param {Object} options - Checker options (one of directory, store or url).
+   *   @property {string} directory - Local range-file directory.
+   *   @property {BreachStore} store - Local store instance.
+   *   @property {string} url - Base URL of a range API mirror (e.g. http://localhost:8080).
+   *   @property {number} timeout - HTTP timeout in milliseconds (default: 5000).
+   */
+  constructor(options = {}) {
+    const { directory, store, url, timeout = 5000 } = options;
+    if ([directory, store, url].filter((value) => value !== undefined).length !== 1) {
+      throw new TypeError('BreachChecker needs exactly one of directory, store or url');
+    }
+    this.store = store || (directory !== undefined ? new BreachStore(directory) : null);
+    this.url = url ? url.replace(/\/+$/, '') : null;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Whether lookups can run synchronously (local store).
+   *
+   * @returns {boolean} - True for a local store.
+   */
+  get isLocal() {
+    return this.store !== null;
+  }
+
+  /**
+   * Returns how many times a password appears in the breach corpus, from the local store.
+   *
+   * @param {string} password - Password to check.
+   * @returns {number} - Breach count, 0 if not found.
+   */
+  checkSync(password) {
+    if (!this.isLocal) throw new Error('checkSync needs a local store; use check() with a range API mirror');
+    return this.store.lookup(sha1(password));
+  }
+
+  /**
+   * Returns how many times a password appears in the breach corpus, from the local store or the mirror.
+   *
+   * @param {string} password - Password to check.
+   * @returns {Promise<number>} - Breach count, 0 if not found.
+   */
+  async check(password) {
+    const hash = sha1(password);
+    if (this.isLocal) return this.store.lookup(hash);
+    const body = await this._fetchRange(hash.slice(0, PREFIX_LENGTH));
+    return countInRange(body, hash.slice(PREFIX_LENGTH));
+  }
+
+  /**
+   * Fetches a range from the mirror.
+   *
+   * @param {string} prefix - 5-character hex prefix.
+   * @returns {Promise<string>} - Range body.
+   */
+  _fetchRange(prefix) {
+    const target = new URL(`${this.url}/range/${prefix}`);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.get(target, { timeout: this.timeout }, (response) => {
+        if (response.statusCode !== 200) {
+          response.resume();
+          reject(new Error(`range request for ${prefix} failed with HTTP ${response.statusCode}`));
+          return;
+        }
+        let body = '';
+        response.setEncoding('ascii');
+        response.on('data', (chunk) => { body += chunk; });
+        response.on('end', () => resolve(body));
+      });
+      request.on('timeout', () => request.destroy(new Error(`range request for ${prefix} timed out`)));
+      request.on('error', reject);
+    });
+  }
+}
+
+/**
+ * Creates an HTTP server exposing a local store through the Pwned Passwords range API,
+ * so BreachChecker clients can point at a self-hosted mirror. Call listen() on the result.
+ *
+ * @param {BreachStore|string} store - Store or range-file directory.
+ * @returns {http.Server} - Server answering GET /range/{prefix}.
+ */
+function createRangeServer(store) {
+  const breachStore = store instanceof BreachStore ? store : new BreachStore(store);
+
+  return http.createServer((request, response) => {
+    const match = /^\/range\/([^/?]+)/.exec(request.url);
+    if (request.method !== 'GET' || !match) {
+      response.writeHead(404, { 'Content-Type': 'text/plain' });
+      response.end('Not found');
+      return;
+    }
+    if (!isPrefix(match[1])) {
+      response.writeHead(400, { 'Content-Type': 'text/plain' });
+      response.end('The hash prefix was not in a valid format');
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'text/plain' });
+    response.end(breachStore.range(match[1]));
+  });
+}
+
+module.exports = {
+  BreachStore, BreachChecker, createRangeServer, sha1
+};
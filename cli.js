@@ -0,0 +1,462 @@
+const fs = require('fs'); // Import the 'fs' module for file operations
+const path = require('path');
+const readline = require('readline');
+const { CipherCraft, CipherForge, PasswordPolicy } = require('./index.js');
+
+const USAGE = `Usage: cipherforge <command> [options]
+
+Commands:
+  generate [kind]       Generate secrets. kind: password (default), passphrase, pronounceable,
+                        key, token, uuid, apikey
+  test <password>       Test one password (use --stdin to read it from standard input,
+                        or -- before a password starting with --)
+  audit <file>          Test a newline-delimited password export ('-' for standard input)
+
+Generate options:
+  --count N             Number of secrets to generate (default: 1)
+  --json                Print JSON objects (with entropy for passphrases)
+  password:      --length --min-lower --min-upper --min-numbers --min-symbols --no-lowercase
+                 --no-uppercase --no-numbers --no-symbols --custom-charset --exclude
+                 --exclude-similar --no-repeating --no-sequential --prefix --positions <json>
+  passphrase:    --words --separator --capitalize --wordlist --digit --symbol
+  pronounceable: --syllables --group-size --separator --capitalize --digit --symbol
+  key:           --length            token:  --bytes --encoding
+  uuid:          --version           apikey: --prefix --bytes
+
+Test and audit options:
+  --user-input name=value   Penalize user context such as email or company (repeatable)
+  --dictionary <file>       Extra newline-delimited wordlist, plain or gzip (repeatable)
+  --breaches <dir>          Local Pwned Passwords range-file directory
+
+Policy (a password failing any rule makes the exit code 1):
+  --require-secure      Require Test's isSecure verdict (the default when no rule is given)
+  --min-score N         Minimum estimate score, 0 to 4
+  --min-entropy BITS    Minimum estimated entropy
+  --max-breaches N      Maximum breach count (needs --breaches)
+  --policy <json|file>  Password policy options, as for CustomPassword
+
+Audit options:
+  --format json|csv     Output format (default: json)
+  --output <file>       Write the report to a file instead of standard output
+  --show-passwords      Include passwords in the report
+
+Exit codes: 0 all passwords pass, 1 a password fails the policy, 2 usage or input error.`;
+
+// Flags that never take a value
+const BOOLEAN_FLAGS = new Set([
+  'excludeSimilar', 'noRepeating', 'noSequential', 'digit', 'symbol', 'stdin', 'json',
+  'requireSecure', 'showPasswords', 'help',
+]);
+
+// Flags whose value is a number
+const NUMBER_FLAGS = new Set([
+  'count', 'length', 'minLower', 'minUpper', 'minNumbers', 'minSymbols', 'words', 'syllables',
+  'groupSize', 'bytes', 'version', 'minScore', 'minEntropy', 'maxBreaches',
+]);
+
+// Flags that may be given several times
+const REPEATABLE_FLAGS = new Set(['userInput', 'dictionary']);
+
+// Negated character classes, e.g. --no-symbols
+const NEGATED_FLAGS = {
+  'no-lowercase': 'useLowercase',
+  'no-uppercase': 'useUppercase',
+  'no-numbers': 'useNumbers',
+  'no-symbols': 'useSymbols',
+};
+
+/**
+ * Error for invalid command-line usage; reported with exit code 2.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parses command-line arguments into positionals and camelCased options.
+ *
+ * @param {string[]} args - Arguments after the executable.
+ * @returns {Object} - { positionals, options }.
+ */
+function parseArgs(args) {
+  const positionals = [];
+  const options = { userInput: [], dictionary: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    // Everything after -- is positional, e.g. a password starting with --
+    if (arg === '--') {
+      positionals.push(...args.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [flag, inline] = arg.slice(2).split(/=(.*)/s);
+    if (NEGATED_FLAGS[flag]) {
+      options[NEGATED_FLAGS[flag]] = false;
+      continue;
+    }
+
+    const name = flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    let value;
+    if (BOOLEAN_FLAGS.has(name)) {
+      value = inline === undefined ? true : inline !== 'false';
+    } else {
+      value = inline !== undefined ? inline : args[++i];
+      if (value === undefined) throw new UsageError(`--${flag} needs a value`);
+      if (NUMBER_FLAGS.has(name)) {
+        value = Number(value);
+        if (!Number.isFinite(value)) throw new UsageError(`--${flag} must be a number`);
+      }
+    }
+
+    if (REPEATABLE_FLAGS.has(name)) options[name].push(value);
+    else options[name] = value;
+  }
+
+  return { positionals, options };
+}
+
+/**
+ * Reads a JSON option given inline or as a file path.
+ *
+ * @param {string} value - JSON text or path of a JSON file.
+ * @param {string} flag - Flag name, for error messages.
+ * @returns {*} - Parsed value.
+ */
+function readJsonOption(value, flag) {
+  const text = /^\s*[[{]/.test(value) ? value : fs.readFileSync(value, 'utf8');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`--${flag} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Writes a chunk, waiting for the stream to drain when its buffer is full.
+ *
+ * @param {stream.Writable} stream - Output stream.
+ * @param {string} chunk - Text to write.
+ * @returns {Promise<void>} - Resolves when more can be written, rejects if the stream fails.
+ */
+function write(stream, chunk) {
+  if (stream.errored) return Promise.reject(stream.errored);
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      stream.off('error', onError);
+      resolve();
+    };
+    const onError = (error) => {
+      stream.off('drain', onDrain);
+      reject(error);
+    };
+    stream.once('drain', onDrain).once('error', onError);
+  });
+}
+
+/**
+ * Waits for a file stream to open.
+ *
+ * @param {fs.ReadStream|fs.WriteStream} stream - File stream.
+ * @returns {Promise<void>} - Resolves once open, rejects if the file cannot be opened.
+ */
+function opened(stream) {
+  return new Promise((resolve, reject) => {
+    const onOpen = () => {
+      stream.off('error', onError);
+      resolve();
+    };
+    const onError = (error) => {
+      stream.off('open', onOpen);
+      reject(error);
+    };
+    stream.once('open', onOpen).once('error', onError);
+  });
+}
+
+/**
+ * Generates secrets with CipherCraft.
+ *
+ * @param {string[]} positionals - [kind].
+ * @param {Object} options - Parsed options.
+ * @param {Object} io - { stdout }.
+ * @returns {Promise<number>} - Exit code.
+ */
+async function generate(positionals, options, io) {
+  const craft = new CipherCraft();
+  const { count = 1, json = false, userInput, dictionary, ...rest } = options;
+  const kind = positionals[0] || 'password';
+
+  if (rest.positions !== undefined) rest.positions = readJsonOption(rest.positions, 'positions');
+
+  const generators = {
+    password: () => craft.CustomPassword(rest),
+    passphrase: () => craft.Passphrase(rest),
+    pronounceable: () => craft.Pronounceable(rest),
+    key: () => craft.Key(rest.length),
+    token: () => craft.Token(rest),
+    uuid: () => craft.UUID(rest.version),
+    apikey: () => craft.ApiKey(rest),
+  };
+  if (!generators[kind]) throw new UsageError(`unknown kind "${kind}"`);
+  if (!Number.isInteger(count) || count < 1) throw new UsageError('--count must be a positive integer');
+
+  for (let i = 0; i < count; i++) {
+    const secret = generators[kind]();
+    let line;
+    if (json) line = JSON.stringify(typeof secret === 'object' ? secret : { [kind]: secret });
+    else line = typeof secret === 'object' ? secret.passphrase || secret.password : secret;
+    await write(io.stdout, `${line}\n`);
+  }
+  return 0;
+}
+
+/**
+ * Builds the tester from the dictionary and breach options.
+ *
+ * @param {Object} options - Parsed options.
+ * @returns {CipherForge} - Configured tester.
+ */
+function buildForge(options) {
+  return new CipherForge({
+    dictionaries: options.dictionary.map((file) => ({ name: path.basename(file), file })),
+    ...(options.breaches === undefined ? {} : { breaches: options.breaches }),
+  });
+}
+
+/**
+ * Builds the pass/fail rules from the policy options.
+ *
+ * @param {Object} options - Parsed options.
+ * @returns {Object} - Rules.
+ */
+function buildRules(options) {
+  const rules = {
+    requireSecure: options.requireSecure === true,
+    minScore: options.minScore,
+    minEntropy: options.minEntropy,
+    maxBreaches: options.maxBreaches,
+    policy: options.policy === undefined ? null : new PasswordPolicy(readJsonOption(options.policy, 'policy')),
+  };
+  if (rules.maxBreaches !== undefined && options.breaches === undefined) {
+    throw new UsageError('--max-breaches needs --breaches');
+  }
+  const hasRule = rules.minScore !== undefined || rules.minEntropy !== undefined
+    || rules.maxBreaches !== undefined || rules.policy !== null;
+  if (!hasRule) rules.requireSecure = true;
+  return rules;
+}
+
+/**
+ * Parses --user-input name=value pairs.
+ *
+ * @param {string[]} pairs - Raw values.
+ * @returns {Object} - Map of input name to values.
+ */
+function parseUserInputs(pairs) {
+  const userInputs = {};
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=');
+    if (separator < 1) throw new UsageError(`--user-input must be name=value, got "${pair}"`);
+    const name = pair.slice(0, separator);
+    (userInputs[name] = userInputs[name] || []).push(pair.slice(separator + 1));
+  }
+  return userInputs;
+}
+
+/**
+ * Tests a password and applies the rules.
+ *
+ * @param {CipherForge} forge - Tester.
+ * @param {string} password - Password to test.
+ * @param {Object} rules - Rules from buildRules.
+ * @param {Object} userInputs - User context.
+ * @returns {Object} - { result, failures }.
+ */
+function evaluate(forge, password, rules, userInputs) {
+  const result = forge.Test(password, { userInputs });
+  const failures = [];
+
+  if (rules.requireSecure && !result.isSecure) failures.push('isSecure');
+  if (rules.minScore !== undefined && result.estimate.score < rules.minScore) failures.push('minScore');
+  if (rules.minEntropy !== undefined && result.estimate.entropy < rules.minEntropy) failures.push('minEntropy');
+  if (rules.maxBreaches !== undefined && result.details.breachCount > rules.maxBreaches) failures.push('maxBreaches');
+  if (rules.policy) {
+    for (const error of rules.policy.validate(password).errors) failures.push(`policy:${error.rule}`);
+  }
+
+  return { result, failures };
+}
+
+/**
+ * Reads all of standard input, without its trailing newline.
+ *
+ * @param {stream.Readable} stdin - Input stream.
+ * @returns {Promise<string>} - Input text.
+ */
+async function readStdin(stdin) {
+  let text = '';
+  stdin.setEncoding('utf8');
+  for await (const chunk of stdin) text += chunk;
+  return text.replace(/\r?\n$/, '');
+}
+
+/**
+ * Tests a single password and prints the result as JSON.
+ *
+ * @param {string[]} positionals - [password].
+ * @param {Object} options - Parsed options.
+ * @param {Object} io - { stdin, stdout }.
+ * @returns {Promise<number>} - Exit code.
+ */
+async function test(positionals, options, io) {
+  const password = options.stdin ? await readStdin(io.stdin) : positionals[0];
+  if (password === undefined) throw new UsageError('test needs a password or --stdin');
+
+  const forge = buildForge(options);
+  const { result, failures } = evaluate(forge, password, buildRules(options), parseUserInputs(options.userInput));
+  await write(io.stdout, `${JSON.stringify({ passed: failures.length === 0, failures, ...result }, null, 2)}\n`);
+  return failures.length ? 1 : 0;
+}
+
+/**
+ * Quotes a CSV field when needed.
+ *
+ * @param {*} value - Field value.
+ * @returns {string} - CSV-safe text.
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Tests every password of a newline-delimited file and writes a JSON or CSV report.
+ * The file is streamed, so exports of any size can be audited.
+ *
+ * @param {string[]} positionals - [file].
+ * @param {Object} options - Parsed options.
+ * @param {Object} io - { stdin, stdout, stderr }.
+ * @returns {Promise<number>} - Exit code.
+ */
+async function audit(positionals, options, io) {
+  const file = positionals[0];
+  if (!file) throw new UsageError('audit needs a file (or - for standard input)');
+  const format = options.format || 'json';
+  if (!['json', 'csv'].includes(format)) throw new UsageError('--format must be json or csv');
+
+  const forge = buildForge(options);
+  const rules = buildRules(options);
+  const userInputs = parseUserInputs(options.userInput);
+  const input = file === '-' ? io.stdin : fs.createReadStream(file);
+  if (file !== '-') await opened(input);
+  const output = options.output ? fs.createWriteStream(options.output) : io.stdout;
+  if (options.output) {
+    await opened(output);
+    // Later failures are kept in output.errored and reported by write() and end()
+    output.on('error', () => {});
+  }
+
+  const columns = ['line', 'length', 'passed', 'failures', 'totalScore', 'isSecure', 'score', 'entropy', 'guesses'];
+  if (options.breaches !== undefined) columns.push('breachCount');
+  if (options.showPasswords) columns.push('password');
+
+  const summary = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    scoreHistogram: { 0: 0, 1: 0, 2: 0, 3: 0, 4: 0 },
+    totalScoreHistogram: {},
+    failureCounts: {},
+  };
+  for (let bucket = 0; bucket < 100; bucket += 10) summary.totalScoreHistogram[`${bucket}-${bucket + 9}`] = 0;
+  summary.totalScoreHistogram['100+'] = 0;
+
+  await write(output, format === 'json' ? '{"results":[' : `${columns.join(',')}\n`);
+
+  let lineNumber = 0;
+  for await (const rawLine of readline.createInterface({ input, crlfDelay: Infinity })) {
+    lineNumber++;
+    if (!rawLine) continue;
+
+    const { result, failures } = evaluate(forge, rawLine, rules, userInputs);
+    const record = {
+      line: lineNumber,
+      length: rawLine.length,
+      passed: failures.length === 0,
+      failures,
+      totalScore: result.totalScore,
+      isSecure: result.isSecure,
+      score: result.estimate.score,
+      entropy: result.estimate.entropy,
+      guesses: result.estimate.guesses,
+      breachCount: result.details.breachCount,
+      password: rawLine,
+    };
+
+    summary.total++;
+    summary[record.passed ? 'passed' : 'failed']++;
+    summary.scoreHistogram[record.score]++;
+    const bucket = Math.floor(Math.max(0, record.totalScore) / 10) * 10;
+    summary.totalScoreHistogram[bucket >= 100 ? '100+' : `${bucket}-${bucket + 9}`]++;
+    for (const failure of failures) summary.failureCounts[failure] = (summary.failureCounts[failure] || 0) + 1;
+
+    if (format === 'json') {
+      const entry = Object.fromEntries(columns.map((column) => [column, record[column]]));
+      await write(output, `${summary.total > 1 ? ',' : ''}\n${JSON.stringify(entry)}`);
+    } else {
+      const row = columns.map((column) => csvField(column === 'failures' ? failures.join(';') : record[column]));
+      await write(output, `${row.join(',')}\n`);
+    }
+  }
+
+  // CSV has no room for the summary, so it goes to standard error
+  if (format === 'json') await write(output, `\n],"summary":${JSON.stringify(summary)}}\n`);
+  else io.stderr.write(`${JSON.stringify(summary)}\n`);
+
+  if (output !== io.stdout) {
+    await new Promise((resolve, reject) => output.end((error) => (error ? reject(error) : resolve())));
+  }
+  return summary.failed ? 1 : 0;
+}
+
+/**
+ * Runs the command line.
+ *
+ * @param {string[]} argv - Arguments after the executable.
+ * @param {Object} io - { stdin, stdout, stderr } streams (default: the process's).
+ * @returns {Promise<number>} - Exit code.
+ */
+async function run(argv, io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr }) {
+  const commands = { generate, test, audit };
+  try {
+    const [command, ...rest] = argv;
+    const { positionals, options } = parseArgs(rest);
+    if (!command) {
+      io.stderr.write(`${USAGE}\n`);
+      return 2;
+    }
+    if (command === '--help' || options.help) {
+      io.stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+    if (!commands[command]) throw new UsageError(`unknown command "${command}"`);
+    return await commands[command](positionals, options, io);
+  } catch (error) {
+    io.stderr.write(`cipherforge: ${error.message}\n`);
+    if (error instanceof UsageError) io.stderr.write('Run cipherforge --help for usage.\n');
+    return 2;
+  }
+}
+
+module.exports = {
+  run, parseArgs
+};
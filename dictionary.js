@@ -0,0 +1,273 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const psw = require('./psw.js');
+
+// Multiplier packing (node, char code) into a single transition key
+const CHAR_SPACE = 0x10000;
+
+/**
+ * Lowercases a text without changing its length, so positions still line up
+ * (characters such as 'İ' lowercase to two code units and are left as-is).
+ *
+ * @param {string} text - Text to lowercase.
+ * @returns {string} - Lowercased text.
+ */
+function lowerCase(text) {
+  const lower = text.toLowerCase();
+  if (lower.length === text.length) return lower;
+  return text.split('').map((char) => {
+    const lowered = char.toLowerCase();
+    return lowered.length === 1 ? lowered : char;
+  }).join('');
+}
+
+/**
+ * Case-insensitive Aho-Corasick automaton over a ranked word list.
+ * Finds every dictionary word occurring anywhere in a text in a single pass.
+ */
+class DictionaryIndex {
+  /**
+   * @param {string[]} words - Words, most common first; the rank of a word is its position + 1.
+   */
+  constructor(words) {
+    this.words = words;
+    this.size = 0;
+
+    // Trie: transitions in one Map keyed by node * CHAR_SPACE + charCode, per-node data in arrays
+    const transitions = new Map();
+    const depth = [0];
+    const wordIndex = [-1];
+    let nodes = 1;
+
+    words.forEach((word, index) => {
+      const lower = lowerCase(word);
+      if (!lower) return;
+      let node = 0;
+      for (let k = 0; k < lower.length; k++) {
+        const key = node * CHAR_SPACE + lower.charCodeAt(k);
+        let next = transitions.get(key);
+        if (next === undefined) {
+          next = nodes++;
+          transitions.set(key, next);
+          depth.push(depth[node] + 1);
+          wordIndex.push(-1);
+        }
+        node = next;
+      }
+      // Keep the best rank when a word appears twice with different casing
+      if (wordIndex[node] === -1) {
+        wordIndex[node] = index;
+        this.size++;
+      }
+    });
+
+    this.transitions = transitions;
+    this.depth = Int32Array.from(depth);
+    this.wordIndex = Int32Array.from(wordIndex);
+    this._buildLinks(nodes);
+  }
+
+  /**
+   * Returns the rank of a word, or undefined if it is not in the dictionary.
+   *
+   * @param {string} word - Word to look up (any case).
+   * @returns {number|undefined} - Rank, starting at 1.
+   */
+  rank(word) {
+    const lower = lowerCase(word);
+    let node = 0;
+    for (let k = 0; k < lower.length && node !== undefined; k++) {
+      node = this.transitions.get(node * CHAR_SPACE + lower.charCodeAt(k));
+    }
+    return node !== undefined && this.wordIndex[node] !== -1 ? this.wordIndex[node] + 1 : undefined;
+  }
+
+  /**
+   * Finds every dictionary word occurring in a text, case-insensitively.
+   *
+   * @param {string} text - Text to scan.
+   * @param {number} minLength - Ignore words shorter than this.
+   * @returns {Object[]} - Matches { i, j, token, word, rank }, where i and j are inclusive positions in text.
+   */
+  search(text, minLength = 1) {
+    const matches = [];
+    const lower = lowerCase(text);
+    let node = 0;
+
+    for (let pos = 0; pos < lower.length; pos++) {
+      const code = lower.charCodeAt(pos);
+      let next = this.transitions.get(node * CHAR_SPACE + code);
+      while (next === undefined && node !== 0) {
+        node = this.fail[node];
+        next = this.transitions.get(node * CHAR_SPACE + code);
+      }
+      node = next === undefined ? 0 : next;
+
+      // Report this node's word, then every shorter word ending here
+      for (let out = this.wordIndex[node] !== -1 ? node : this.output[node]; out > 0; out = this.output[out]) {
+        const length = this.depth[out];
+        if (length < minLength) continue;
+        const index = this.wordIndex[out];
+        matches.push({
+          i: pos - length + 1,
+          j: pos,
+          token: text.slice(pos - length + 1, pos + 1),
+          word: lowerCase(this.words[index]),
+          rank: index + 1,
+        });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Computes failure links (longest proper suffix that is also a trie node) and output links
+   * (nearest suffix node that ends a word) breadth-first.
+   *
+   * @param {number} nodes - Number of trie nodes.
+   */
+  _buildLinks(nodes) {
+    const children = Array.from({ length: nodes }, () => []);
+    for (const [key, child] of this.transitions) {
+      children[Math.floor(key / CHAR_SPACE)].push([key % CHAR_SPACE, child]);
+    }
+
+    this.fail = new Int32Array(nodes);
+    this.output = new Int32Array(nodes);
+    const queue = children[0].map(([, child]) => child);
+
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+      for (const [code, child] of children[node]) {
+        let fallback = this.fail[node];
+        let target = this.transitions.get(fallback * CHAR_SPACE + code);
+        while (target === undefined && fallback !== 0) {
+          fallback = this.fail[fallback];
+          target = this.transitions.get(fallback * CHAR_SPACE + code);
+        }
+        this.fail[child] = target === undefined || target === child ? 0 : target;
+
+        const failNode = this.fail[child];
+        this.output[child] = this.wordIndex[failNode] !== -1 ? failNode : this.output[failNode];
+        queue.push(child);
+      }
+    }
+  }
+}
+
+/**
+ * Named, weighted word list. The index is built on the first search.
+ */
+class Dictionary {
+  /**
+   * @param {Object} options - Dictionary options.
+   *   @property {string} name - Name reported with every match.
+   *   @property {string[]} words - Words, most common first.
+   *   @property {string} file - Newline-delimited wordlist to load instead of words (plain or gzip).
+   *   @property {number} weight - How strongly matches count against a password (default: 1).
+   *   @property {string} input - For user-input dictionaries, which input the words came from.
+   */
+  constructor(options = {}) {
+    const { name, words, file, weight = 1, input } = options;
+
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError('dictionary name must be a non-empty string');
+    }
+    if ((words === undefined) === (file === undefined)) {
+      throw new TypeError(`dictionary "${name}" needs exactly one of words or file`);
+    }
+    if (typeof weight !== 'number' || !(weight > 0)) {
+      throw new RangeError(`dictionary "${name}" weight must be a positive number, got ${weight}`);
+    }
+
+    this.name = name;
+    this.weight = weight;
+    this.input = input;
+    this.words = file === undefined ? words : Dictionary.readWordlist(file);
+    this._index = null;
+  }
+
+  /**
+   * Returns the built-in password dictionary, shared by every caller.
+   *
+   * @returns {Dictionary} - Built-in dictionary named "passwords".
+   */
+  static passwords() {
+    if (!Dictionary._passwords) {
+      Dictionary._passwords = new Dictionary({ name: 'passwords', words: psw.pwd });
+    }
+    return Dictionary._passwords;
+  }
+
+  /**
+   * Builds one dictionary per user input (username, email, company...), so matches say which input they
+   * came from. Values are matched whole and split into their alphanumeric parts.
+   *
+   * @param {Object|string[]|string|null} userInputs - Map of input name to value(s), or a plain list of values
+   *   (or a single value). null and undefined mean no user inputs.
+   * @param {number} weight - Weight of the resulting dictionaries.
+   * @returns {Dictionary[]} - Dictionaries named "userInputs".
+   * @throws {TypeError} - If userInputs is neither an object, an array nor a string.
+   */
+  static fromUserInputs(userInputs, weight = 1) {
+    if (userInputs === undefined || userInputs === null) return [];
+    const list = typeof userInputs === 'string' ? [userInputs] : userInputs;
+    if (list === null || typeof list !== 'object') {
+      throw new TypeError('userInputs must be an object of named values, an array or a string');
+    }
+    const entries = Array.isArray(list) ? [[undefined, list]] : Object.entries(list);
+
+    return entries.map(([input, values]) => {
+      const words = [];
+      for (const value of [].concat(values)) {
+        if (value === undefined || value === null || value === '') continue;
+        const text = String(value).toLowerCase();
+        words.push(text, ...text.split(/[^\p{L}\p{N}]+/u).filter((part) => part.length >= 3));
+      }
+      return new Dictionary({ name: 'userInputs', words, weight, input });
+    }).filter((dictionary) => dictionary.words.length);
+  }
+
+  /**
+   * Reads a newline-delimited wordlist, most common word first. Gzip files are detected by their magic bytes.
+   *
+   * @param {string} file - Path of the wordlist.
+   * @returns {string[]} - Words, with blank lines removed.
+   */
+  static readWordlist(file) {
+    let data = fs.readFileSync(file);
+    if (data[0] === 0x1f && data[1] === 0x8b) data = zlib.gunzipSync(data);
+    return data.toString('utf8').split(/\r?\n/).map((word) => word.trim()).filter(Boolean);
+  }
+
+  /**
+   * Returns the dictionary index, building it on first use.
+   *
+   * @returns {DictionaryIndex} - Index over the words.
+   */
+  get index() {
+    if (!this._index) this._index = new DictionaryIndex(this.words);
+    return this._index;
+  }
+
+  /**
+   * Finds every word of this dictionary occurring in a text, case-insensitively.
+   *
+   * @param {string} text - Text to scan.
+   * @param {number} minLength - Ignore words shorter than this.
+   * @returns {Object[]} - Matches { i, j, token, word, rank, dictionaryName, weight, input }.
+   */
+  search(text, minLength = 1) {
+    return this.index.search(text, minLength).map((match) => ({
+      ...match,
+      dictionaryName: this.name,
+      weight: this.weight,
+      ...(this.input === undefined ? {} : { input: this.input }),
+    }));
+  }
+}
+
+module.exports = {
+  Dictionary, DictionaryIndex
+};
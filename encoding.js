@@ -0,0 +1,114 @@
+// Alphabets for the supported text encodings
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const CROCKFORD_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+let crcTable = null;
+
+/**
+ * Encodes bytes 5 bits at a time with a 32-character alphabet (RFC 4648 section 6).
+ *
+ * @param {Uint8Array} bytes - Bytes to encode.
+ * @param {string} alphabet - 32-character alphabet.
+ * @param {boolean} padding - Pad the output with '=' to a multiple of 8 characters.
+ * @returns {string} - Encoded text.
+ */
+function base32(bytes, alphabet = BASE32_ALPHABET, padding = true) {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += alphabet[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    buffer &= (1 << bits) - 1;
+  }
+  if (bits > 0) output += alphabet[(buffer << (5 - bits)) & 31];
+  if (padding) while (output.length % 8) output += '=';
+  return output;
+}
+
+/**
+ * Encodes bytes as a big number in an arbitrary alphabet (base58, base62).
+ * Leading zero bytes are kept as leading zero digits, as in Bitcoin's base58,
+ * unless a fixed width is requested.
+ *
+ * @param {Uint8Array} bytes - Bytes to encode.
+ * @param {string} alphabet - Digits, lowest first.
+ * @param {number} width - Left-pad with the zero digit to exactly this many digits.
+ * @returns {string} - Encoded text.
+ */
+function baseN(bytes, alphabet, width) {
+  const base = BigInt(alphabet.length);
+  let value = 0n;
+  for (const byte of bytes) value = (value << 8n) | BigInt(byte);
+
+  let output = '';
+  while (value > 0n) {
+    output = alphabet[Number(value % base)] + output;
+    value /= base;
+  }
+  if (width !== undefined) return output.padStart(width, alphabet[0]);
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) output = alphabet[0] + output;
+  return output;
+}
+
+/**
+ * Encodes bytes in the requested encoding.
+ *
+ * @param {Uint8Array} bytes - Bytes to encode.
+ * @param {string} encoding - hex, base64, base64url, base32, crockford, base58, base62, buffer or uint8array.
+ * @returns {string|Buffer|Uint8Array} - Encoded output.
+ */
+function encode(bytes, encoding) {
+  switch (encoding) {
+    case 'hex':
+    case 'base64':
+    case 'base64url':
+      return Buffer.from(bytes).toString(encoding);
+    case 'base32':
+      return base32(bytes);
+    case 'crockford':
+      return base32(bytes, CROCKFORD_ALPHABET, false);
+    case 'base58':
+      return baseN(bytes, BASE58_ALPHABET);
+    case 'base62':
+      return baseN(bytes, BASE62_ALPHABET);
+    case 'buffer':
+      return Buffer.from(bytes);
+    case 'uint8array':
+      return Uint8Array.from(bytes);
+    default:
+      throw new RangeError(`unknown encoding "${encoding}"`);
+  }
+}
+
+/**
+ * Computes the CRC-32 (IEEE 802.3) checksum of a string or bytes.
+ *
+ * @param {string|Uint8Array} data - Data to checksum; strings are UTF-8 encoded.
+ * @returns {number} - Unsigned 32-bit checksum.
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  const bytes = typeof data === 'string' ? Buffer.from(data, 'utf8') : data;
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+module.exports = {
+  encode, base32, baseN, crc32, BASE32_ALPHABET, CROCKFORD_ALPHABET, BASE58_ALPHABET, BASE62_ALPHABET
+};
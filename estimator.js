@@ -0,0 +1,345 @@
+const { omnimatch, getKeyboardGraph } = require('./matching.js');
+
+// Bruteforce guesses per character
+const BRUTEFORCE_CARDINALITY = 10;
+
+// Minimum guesses for a sub-token, so splitting a password into many tiny matches never pays off
+const MIN_GUESSES_BEFORE_GROWING_SEQUENCE = 10000;
+const MIN_SUBMATCH_GUESSES_SINGLE_CHAR = 10;
+const MIN_SUBMATCH_GUESSES_MULTI_CHAR = 50;
+
+// Years attackers are assumed to try on either side of the current year
+const MIN_YEAR_SPACE = 20;
+
+// Guess rates (per second) of the attacker models
+const ATTACK_RATES = {
+  onlineThrottling: 100 / 3600,
+  offlineSlowHashing: 1e4,
+  offlineFastHashing: 1e10,
+};
+
+// Only this many leading characters are matched; the rest is scored as bruteforce, as in zxcvbn,
+// because the sequence search grows much faster than the password length
+const MAX_ESTIMATE_LENGTH = 100;
+
+// Guess thresholds for the 0-4 score
+const SCORE_THRESHOLDS = [1e3, 1e6, 1e8, 1e10];
+
+/**
+ * Binomial coefficient n choose k.
+ *
+ * @param {number} n - Set size.
+ * @param {number} k - Subset size.
+ * @returns {number} - Number of combinations.
+ */
+function nCk(n, k) {
+  if (k > n) return 0;
+  if (k === 0) return 1;
+  let result = 1;
+  for (let d = 1; d <= k; d++) {
+    result = (result * n) / d;
+    n--;
+  }
+  return result;
+}
+
+/**
+ * Factorial of n.
+ *
+ * @param {number} n - Non-negative integer.
+ * @returns {number} - n!
+ */
+function factorial(n) {
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+/**
+ * Number of ways a lowercase word could have been capitalised to produce the token.
+ *
+ * @param {string} token - Matched token.
+ * @returns {number} - Capitalisation variations.
+ */
+function uppercaseVariations(token) {
+  if (/^[^A-Z]+$/.test(token) || token.toLowerCase() === token) return 1;
+  // Common patterns: Capitalised, lastUpper, ALLCAPS
+  if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token) || /^[^a-z]+$/.test(token)) return 2;
+
+  const upper = token.split('').filter((char) => /[A-Z]/.test(char)).length;
+  const lower = token.split('').filter((char) => /[a-z]/.test(char)).length;
+  let variations = 0;
+  for (let i = 1; i <= Math.min(upper, lower); i++) variations += nCk(upper + lower, i);
+  return variations;
+}
+
+/**
+ * Number of ways the l33t substitutions in a token could have been applied.
+ *
+ * @param {Object} match - l33t dictionary match.
+ * @returns {number} - Substitution variations.
+ */
+function l33tVariations(match) {
+  if (!match.l33t) return 1;
+  let variations = 1;
+  const token = match.token.toLowerCase();
+  for (const [subbed, unsubbed] of Object.entries(match.sub)) {
+    const chars = token.split('');
+    const s = chars.filter((char) => char === subbed).length;
+    const u = chars.filter((char) => char === unsubbed).length;
+    if (s === 0 || u === 0) {
+      variations *= 2;
+    } else {
+      let possibilities = 0;
+      for (let i = 1; i <= Math.min(s, u); i++) possibilities += nCk(s + u, i);
+      variations *= possibilities;
+    }
+  }
+  return variations;
+}
+
+/**
+ * Guesses needed to find a keyboard walk of a given length, turns and shifted keys.
+ *
+ * @param {Object} match - Spatial match.
+ * @returns {number} - Estimated guesses.
+ */
+function spatialGuesses(match) {
+  const graph = getKeyboardGraph();
+  const keys = Object.keys(graph);
+  const startingPositions = keys.length;
+  const averageDegree = keys.reduce((sum, key) => sum + graph[key].filter(Boolean).length, 0) / keys.length;
+
+  let guesses = 0;
+  const length = match.token.length;
+  for (let i = 2; i <= length; i++) {
+    const possibleTurns = Math.min(match.turns, i - 1);
+    for (let j = 1; j <= possibleTurns; j++) {
+      guesses += nCk(i - 1, j - 1) * startingPositions * (averageDegree ** j);
+    }
+  }
+
+  const shifted = match.shiftedCount;
+  if (shifted) {
+    const unshifted = length - shifted;
+    if (unshifted === 0) {
+      guesses *= 2;
+    } else {
+      let variations = 0;
+      for (let i = 1; i <= Math.min(shifted, unshifted); i++) variations += nCk(shifted + unshifted, i);
+      guesses *= variations;
+    }
+  }
+  return guesses;
+}
+
+/**
+ * Guesses an attacker needs to produce a match, by pattern. Sets match.guesses.
+ *
+ * @param {Object} match - Match to estimate.
+ * @param {string} password - Full password, used for the minimum-guesses floor.
+ * @returns {number} - Estimated guesses.
+ */
+function estimateGuesses(match, password) {
+  if (match.guesses !== undefined) return match.guesses;
+
+  let minGuesses = 1;
+  if (match.token.length < password.length) {
+    minGuesses = match.token.length === 1 ? MIN_SUBMATCH_GUESSES_SINGLE_CHAR : MIN_SUBMATCH_GUESSES_MULTI_CHAR;
+  }
+
+  let guesses;
+  switch (match.pattern) {
+    case 'dictionary':
+      // Heavier dictionaries make their words cheaper to guess
+      match.baseGuesses = Math.max(1, match.rank / (match.weight || 1));
+      match.uppercaseVariations = uppercaseVariations(match.token);
+      match.l33tVariations = l33tVariations(match);
+      guesses = match.baseGuesses * match.uppercaseVariations * match.l33tVariations * (match.reversed ? 2 : 1);
+      break;
+    case 'spatial':
+      guesses = spatialGuesses(match);
+      break;
+    case 'repeat':
+      guesses = match.baseGuesses * match.repeatCount;
+      break;
+    case 'sequence': {
+      const first = match.token.charAt(0);
+      let base = /\d/.test(first) ? 10 : 26;
+      if (['a', 'A', 'z', 'Z', '0', '1', '9'].includes(first)) base = 4; // obvious starting points
+      if (!match.ascending) base *= 2;
+      guesses = base * match.token.length;
+      break;
+    }
+    case 'year':
+      guesses = Math.max(Math.abs(match.year - new Date().getFullYear()), MIN_YEAR_SPACE);
+      break;
+    case 'date':
+      guesses = Math.max(Math.abs(match.year - new Date().getFullYear()), MIN_YEAR_SPACE) * 365;
+      if (match.separator) guesses *= 4;
+      break;
+    default: // bruteforce
+      guesses = Math.min(BRUTEFORCE_CARDINALITY ** match.token.length, Number.MAX_VALUE);
+      minGuesses += 1; // a bruteforce span never beats a real match of the same length
+  }
+
+  match.guesses = Math.max(guesses, minGuesses);
+  return match.guesses;
+}
+
+/**
+ * Finds the sequence of non-overlapping matches covering the password that needs the fewest guesses.
+ * Gaps are filled with bruteforce matches. Each additional match multiplies the search space by the
+ * number of orderings, so long chains of small matches are penalised.
+ *
+ * @param {string} password - Password to analyse.
+ * @param {Object[]} matches - Candidate matches.
+ * @returns {Object} - { guesses, sequence }.
+ */
+function mostGuessableSequence(password, matches) {
+  const n = password.length;
+  if (n === 0) return { guesses: 1, sequence: [] };
+
+  const matchesByEnd = Array.from({ length: n }, () => []);
+  for (const match of matches) matchesByEnd[match.j].push(match);
+
+  // optimal[k] holds, per sequence length l, the best last match, product of guesses and total
+  const optimal = Array.from({ length: n }, () => ({ m: new Map(), pi: new Map(), g: new Map() }));
+
+  const update = (match, l) => {
+    const k = match.j;
+    let pi = estimateGuesses(match, password);
+    if (l > 1) pi *= optimal[match.i - 1].pi.get(l - 1);
+    const g = factorial(l) * pi + (MIN_GUESSES_BEFORE_GROWING_SEQUENCE ** (l - 1));
+
+    for (const [competingL, competingG] of optimal[k].g) {
+      if (competingL <= l && competingG <= g) return;
+    }
+    optimal[k].m.set(l, match);
+    optimal[k].pi.set(l, pi);
+    optimal[k].g.set(l, g);
+  };
+
+  const bruteforce = (i, j) => ({ pattern: 'bruteforce', i, j, token: password.slice(i, j + 1) });
+
+  for (let k = 0; k < n; k++) {
+    for (const match of matchesByEnd[k]) {
+      if (match.i > 0) {
+        for (const l of [...optimal[match.i - 1].m.keys()]) update(match, l + 1);
+      } else {
+        update(match, 1);
+      }
+    }
+
+    update(bruteforce(0, k), 1);
+    for (let i = 1; i <= k; i++) {
+      for (const [l, lastMatch] of [...optimal[i - 1].m]) {
+        // Adjacent bruteforce spans are always better merged into one
+        if (lastMatch.pattern !== 'bruteforce') update(bruteforce(i, k), l + 1);
+      }
+    }
+  }
+
+  // Walk back from the cheapest total at the end of the password
+  let bestL = null;
+  let bestG = Infinity;
+  for (const [l, g] of optimal[n - 1].g) {
+    if (g < bestG) {
+      bestL = l;
+      bestG = g;
+    }
+  }
+
+  const sequence = [];
+  let k = n - 1;
+  let l = bestL;
+  while (k >= 0) {
+    const match = optimal[k].m.get(l);
+    sequence.unshift(match);
+    k = match.i - 1;
+    l--;
+  }
+
+  return { guesses: bestG, sequence };
+}
+
+/**
+ * Formats a duration in seconds for display.
+ *
+ * @param {number} seconds - Duration.
+ * @returns {string} - Human-readable duration.
+ */
+function displayTime(seconds) {
+  const units = [
+    ['minute', 60],
+    ['hour', 3600],
+    ['day', 86400],
+    ['month', 86400 * 31],
+    ['year', 86400 * 365],
+  ];
+  if (seconds < 1) return 'less than a second';
+  if (seconds >= 86400 * 365 * 100) return 'centuries';
+
+  let label = 'second';
+  let value = seconds;
+  for (const [unit, size] of units) {
+    if (seconds >= size) {
+      label = unit;
+      value = seconds / size;
+    }
+  }
+  const rounded = Math.round(value);
+  return `${rounded} ${label}${rounded === 1 ? '' : 's'}`;
+}
+
+/**
+ * Estimates how many guesses an attacker needs to find a password, by splitting it into
+ * its cheapest sequence of patterns (dictionary words, l33t, keyboard walks, dates, repeats, sequences).
+ * Only the first MAX_ESTIMATE_LENGTH characters are matched; longer input adds a bruteforce tail.
+ *
+ * @param {string} password - Password to estimate.
+ * @param {Object} options - Estimator options.
+ *   @property {Dictionary[]} dictionaries - Dictionaries to match against (default: built-in).
+ * @returns {Object} - Guesses, entropy, crack times, 0-4 score and the matched sequence.
+ */
+function estimate(password, options = {}) {
+  const analysed = password.slice(0, MAX_ESTIMATE_LENGTH);
+  const matches = omnimatch(analysed, options.dictionaries);
+
+  // Repeats are scored by the guesses needed for their base token
+  for (const match of matches) {
+    if (match.pattern === 'repeat' && match.baseGuesses === undefined) {
+      match.baseGuesses = estimate(match.baseToken, options).guesses;
+    }
+  }
+
+  let { guesses, sequence } = mostGuessableSequence(analysed, matches);
+  if (password.length > analysed.length) {
+    const tail = { pattern: 'bruteforce', i: analysed.length, j: password.length - 1, token: password.slice(analysed.length) };
+    guesses = Math.min(guesses * estimateGuesses(tail, password), Number.MAX_VALUE);
+    sequence = [...sequence, tail];
+  }
+
+  const crackTimesSeconds = {};
+  const crackTimesDisplay = {};
+  for (const [attack, rate] of Object.entries(ATTACK_RATES)) {
+    crackTimesSeconds[attack] = guesses / rate;
+    crackTimesDisplay[attack] = displayTime(crackTimesSeconds[attack]);
+  }
+
+  const score = SCORE_THRESHOLDS.filter((threshold) => guesses >= threshold + 5).length;
+
+  return {
+    guesses,
+    guessesLog10: Math.log10(guesses),
+    entropy: Math.log2(guesses),
+    score,
+    crackTimesSeconds,
+    crackTimesDisplay,
+    sequence,
+  };
+}
+
+module.exports = {
+  estimate, mostGuessableSequence, estimateGuesses, displayTime
+};
@@ -0,0 +1,228 @@
+const crypto = require('crypto'); // Import the 'crypto' module for key derivation
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// Current defaults: scrypt N=2^15, r=8, p=1 and PBKDF2-SHA256 at 600000 iterations (OWASP 2023)
+const DEFAULTS = {
+  algorithm: 'scrypt',
+  ln: 15,
+  r: 8,
+  p: 1,
+  digest: 'sha256',
+  iterations: 600000,
+  saltLength: 16,
+  keyLength: 32,
+};
+
+// Upper bounds on parameters read from stored hashes, so a tampered row cannot exhaust memory or CPU.
+// scryptMemory caps the 128 * N * r * p bytes a single verify may allocate (256 MiB, 8x the default).
+const LIMITS = { ln: 20, r: 16, p: 4, iterations: 10000000, keyLength: 128, scryptMemory: 256 * 1024 * 1024 };
+
+const PBKDF2_DIGESTS = ['sha1', 'sha256', 'sha512'];
+
+/**
+ * Encodes bytes as PHC base64 (standard alphabet, no padding).
+ *
+ * @param {Buffer} buffer - Bytes to encode.
+ * @returns {string} - Encoded text.
+ */
+function b64(buffer) {
+  return buffer.toString('base64').replace(/=+$/, '');
+}
+
+/**
+ * Throws a RangeError unless a hashing option is an integer within bounds.
+ *
+ * @param {string} name - Option name, for the error message.
+ * @param {number} value - Option value.
+ * @param {number} min - Smallest allowed value.
+ * @param {number} max - Largest allowed value.
+ */
+function checkRange(name, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    const bounds = max === Infinity ? `at least ${min}` : `from ${min} to ${max}`;
+    throw new RangeError(`${name} must be an integer ${bounds}, got ${value}`);
+  }
+}
+
+/**
+ * Throws a RangeError if scrypt parameters would need more memory than LIMITS.scryptMemory.
+ *
+ * @param {number} ln - scrypt cost, log2(N).
+ * @param {number} r - scrypt block size.
+ * @param {number} p - scrypt parallelism.
+ */
+function checkScryptMemory(ln, r, p) {
+  const memory = 128 * (2 ** ln) * r * p;
+  if (memory > LIMITS.scryptMemory) {
+    throw new RangeError(`scrypt parameters need ${memory} bytes of memory, more than the ${LIMITS.scryptMemory} allowed`);
+  }
+}
+
+/**
+ * Parses a PHC string produced by hash().
+ *
+ * @param {string} encoded - $scrypt$ln=..,r=..,p=..$salt$hash or $pbkdf2-<digest>$i=..$salt$hash.
+ * @returns {Object} - { algorithm, params, salt, hash }.
+ */
+function parse(encoded) {
+  const parts = typeof encoded === 'string' ? encoded.split('$') : [];
+  if (parts.length !== 5 || parts[0] !== '') {
+    throw new Error('malformed password hash: expected $id$params$salt$hash');
+  }
+
+  const [, id, paramString, salt, hash] = parts;
+  const params = {};
+  for (const pair of paramString.split(',')) {
+    const [name, value] = pair.split('=');
+    if (!/^\d+$/.test(value || '')) throw new Error(`malformed password hash parameter "${pair}"`);
+    params[name] = parseInt(value, 10);
+  }
+
+  const decoded = { salt: Buffer.from(salt, 'base64'), hash: Buffer.from(hash, 'base64') };
+  if (!decoded.salt.length || !decoded.hash.length || decoded.hash.length > LIMITS.keyLength) {
+    throw new Error('malformed password hash: bad salt or hash');
+  }
+
+  if (id === 'scrypt') {
+    const { ln, r, p } = params;
+    if (!(ln >= 1 && ln <= LIMITS.ln && r >= 1 && r <= LIMITS.r && p >= 1 && p <= LIMITS.p)) {
+      throw new Error('password hash scrypt parameters out of range');
+    }
+    checkScryptMemory(ln, r, p);
+    return { algorithm: 'scrypt', params: { ln, r, p }, ...decoded };
+  }
+
+  const digest = id.startsWith('pbkdf2-') ? id.slice('pbkdf2-'.length) : null;
+  if (PBKDF2_DIGESTS.includes(digest)) {
+    const { i } = params;
+    if (!(i >= 1 && i <= LIMITS.iterations)) {
+      throw new Error('password hash pbkdf2 iterations out of range');
+    }
+    return { algorithm: 'pbkdf2', params: { digest, iterations: i }, ...decoded };
+  }
+
+  throw new Error(`unsupported password hash algorithm "${id}"`);
+}
+
+/**
+ * Derives a key with the given algorithm and parameters.
+ *
+ * @param {string} password - Password.
+ * @param {Buffer} salt - Salt.
+ * @param {string} algorithm - 'scrypt' or 'pbkdf2'.
+ * @param {Object} params - { ln, r, p } or { digest, iterations }.
+ * @param {number} keyLength - Derived key length in bytes.
+ * @returns {Promise<Buffer>} - Derived key.
+ */
+function derive(password, salt, algorithm, params, keyLength) {
+  if (algorithm === 'scrypt') {
+    const N = 2 ** params.ln;
+    // scrypt needs about 128 * N * r * p bytes; double it, plus Node's 32 MiB default for small N
+    const maxmem = 256 * N * params.r * params.p + 32 * 1024 * 1024;
+    return scrypt(password.normalize('NFC'), salt, keyLength, { N, r: params.r, p: params.p, maxmem });
+  }
+  return pbkdf2(password.normalize('NFC'), salt, params.iterations, keyLength, params.digest);
+}
+
+/**
+ * Hashes a password for storage, as a PHC string.
+ *
+ * @param {string} password - Password to hash.
+ * @param {Object} options - Hashing options.
+ *   @property {string} algorithm - 'scrypt' (default) or 'pbkdf2'.
+ *   @property {number} ln - scrypt cost, log2(N).
+ *   @property {number} r - scrypt block size.
+ *   @property {number} p - scrypt parallelism.
+ *   @property {string} digest - PBKDF2 digest: sha1, sha256 or sha512.
+ *   @property {number} iterations - PBKDF2 iterations.
+ *   @property {number} saltLength - Salt size in bytes.
+ *   @property {number} keyLength - Derived key size in bytes.
+ * @returns {Promise<string>} - Encoded hash, e.g. $scrypt$ln=15,r=8,p=1$<salt>$<hash>.
+ * @throws {RangeError} - If an option is outside the bounds verify() accepts.
+ */
+async function hash(password, options = {}) {
+  if (typeof password !== 'string') throw new TypeError('password must be a string');
+  const { algorithm, ln, r, p, digest, iterations, saltLength, keyLength } = { ...DEFAULTS, ...options };
+  // Same bounds as parse(), so every hash produced here can be verified
+  checkRange('saltLength', saltLength, 1, Infinity);
+  checkRange('keyLength', keyLength, 1, LIMITS.keyLength);
+
+  const salt = crypto.randomBytes(saltLength);
+  if (algorithm === 'scrypt') {
+    checkRange('ln', ln, 1, LIMITS.ln);
+    checkRange('r', r, 1, LIMITS.r);
+    checkRange('p', p, 1, LIMITS.p);
+    checkScryptMemory(ln, r, p);
+    const key = await derive(password, salt, 'scrypt', { ln, r, p }, keyLength);
+    return `$scrypt$ln=${ln},r=${r},p=${p}$${b64(salt)}$${b64(key)}`;
+  }
+  if (algorithm === 'pbkdf2') {
+    if (!PBKDF2_DIGESTS.includes(digest)) throw new RangeError(`digest must be one of ${PBKDF2_DIGESTS.join(', ')}`);
+    checkRange('iterations', iterations, 1, LIMITS.iterations);
+    const key = await derive(password, salt, 'pbkdf2', { digest, iterations }, keyLength);
+    return `$pbkdf2-${digest}$i=${iterations}$${b64(salt)}$${b64(key)}`;
+  }
+  throw new RangeError(`algorithm must be scrypt or pbkdf2, got ${algorithm}`);
+}
+
+/**
+ * Tells whether a stored hash is weaker than the current parameters or uses another algorithm,
+ * so it can be replaced with hash(password) while the plain password is at hand (at login).
+ *
+ * @param {string} encoded - Stored hash.
+ * @param {Object} currentParams - Current hashing options (same shape as hash() options).
+ * @returns {boolean} - True if the hash should be recomputed.
+ */
+function needsRehash(encoded, currentParams = {}) {
+  const current = { ...DEFAULTS, ...currentParams };
+  const stored = parse(encoded);
+
+  if (stored.algorithm !== current.algorithm) return true;
+  if (stored.hash.length < current.keyLength || stored.salt.length < current.saltLength) return true;
+  if (stored.algorithm === 'scrypt') {
+    return stored.params.ln < current.ln || stored.params.r < current.r || stored.params.p < current.p;
+  }
+  return stored.params.digest !== current.digest || stored.params.iterations < current.iterations;
+}
+
+/**
+ * Verifies a password against a stored hash in constant time.
+ * On success, the optional policy hook can inspect the plain password, e.g. to run CipherForge.Test
+ * and flag weak legacy passwords for a forced reset.
+ *
+ * @param {string} password - Password to check.
+ * @param {string} encoded - Stored hash.
+ * @param {Object} options - Verification options.
+ *   @property {Object} params - Current hashing options, for needsRehash.
+ *   @property {function(string, Object): *} policy - Hook run after a successful match; may return a promise.
+ *     Returning false, or an object with isSecure: false (such as a Test result), sets forceReset.
+ * @returns {Promise<Object>} - { valid, needsRehash, forceReset, policy } where policy is the hook's result.
+ */
+async function verify(password, encoded, options = {}) {
+  if (typeof password !== 'string') throw new TypeError('password must be a string');
+  const { params, policy } = options;
+  const stored = parse(encoded);
+
+  const key = await derive(password, stored.salt, stored.algorithm, stored.params, stored.hash.length);
+  const valid = crypto.timingSafeEqual(key, stored.hash);
+  if (!valid) {
+    return { valid: false, needsRehash: false, forceReset: false, policy: undefined };
+  }
+
+  const rehash = needsRehash(encoded, params);
+  let policyResult;
+  let forceReset = false;
+  if (policy) {
+    policyResult = await policy(password, { encoded, algorithm: stored.algorithm, params: stored.params });
+    forceReset = policyResult === false || (policyResult !== null && typeof policyResult === 'object' && policyResult.isSecure === false);
+  }
+
+  return { valid: true, needsRehash: rehash, forceReset, policy: policyResult };
+}
+
+module.exports = {
+  hash, verify, needsRehash, DEFAULTS
+};
@@ -1,46 +1,70 @@
 const fs = require('fs'); // Import the 'fs' module for file operations
-const psw = require('./psw.js')
+const { CryptoRandom, SeededRandom, randomInt, chiSquare } = require('./random.js');
+const { PasswordPolicy, PolicyError, CHARSETS } = require('./policy.js');
+const estimator = require('./estimator.js');
+const { Dictionary } = require('./dictionary.js');
+const { BreachChecker, BreachStore } = require('./breach.js');
+const passphrase = require('./passphrase.js');
+const { encode, baseN, crc32, BASE62_ALPHABET } = require('./encoding.js');
+const { hash, verify, needsRehash } = require('./hash.js');
+
+// Number of drafts tried before a policy is reported as unsatisfiable
+const MAX_POLICY_ATTEMPTS = 1000;
+
+// Base62 digits holding a CRC-32 API key checksum
+const API_KEY_CHECKSUM_LENGTH = 6;
+
+// Smallest TOTP shared secret, in bytes
+const TOTP_MIN_SECRET_BYTES = 16;
+
+// Shorter dictionary entries match inside almost any password and are ignored by Test
+const MIN_DICTIONARY_MATCH_LENGTH = 3;
+
 class CipherCraft {
-  constructor() {
+  /**
+   * @param {Object} options - Generator options.
+   *   @property {Object} rng - Random source exposing bytes(length) (default: cryptographically secure).
+   */
+  constructor(options = {}) {
+    // Random source used by every generator; inject a SeededRandom for reproducible tests
+    this.rng = options.rng || new CryptoRandom();
+
     // Define character sets
-    this.charsets = {
-      lowercase: 'abcdefghijklmnopqrstuvwxyz',
-      uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
-      numeric: '0123456789',
-      symbols: '!@#$%^&*()_+-=[]{}|;:,.<>?',
-    };
+    this.charsets = { ...CHARSETS };
   }
 
   /**
-   * Generates a custom password based on specified options.
+   * Generates a custom password that satisfies a password policy.
+   * Required characters are drawn per class, then shuffled uniformly into the free positions.
    *
-   * @param {Object} options - Options for password generation.
+   * @param {Object|PasswordPolicy} options - Policy options (see PasswordPolicy) or a policy instance.
    *   @property {number} length - Length of the password.
    *   @property {boolean} useLowercase - Include lowercase characters.
    *   @property {boolean} useUppercase - Include uppercase characters.
    *   @property {boolean} useNumbers - Include numeric characters.
    *   @property {boolean} useSymbols - Include symbol characters.
    *   @property {string} customCharset - Custom character set.
+   *   @property {number} minLower - Minimum lowercase characters.
+   *   @property {number} minUpper - Minimum uppercase characters.
+   *   @property {number} minNumbers - Minimum numeric characters.
+   *   @property {number} minSymbols - Minimum symbol characters.
+   *   @property {string} exclude - Characters to leave out.
+   *   @property {boolean} excludeSimilar - Leave out look-alike characters.
+   *   @property {boolean} noRepeating - Forbid the same character twice in a row.
+   *   @property {boolean} noSequential - Forbid sequences such as abc or 321.
+   *   @property {string} prefix - Required prefix.
+   *   @property {Object} positions - Map of index to allowed class name(s).
    * @returns {string} - Generated password.
+   * @throws {PolicyError} - If the policy is invalid or cannot be satisfied.
    */
   CustomPassword(options = {}) {
-    const {
-      length = 12,
-      useLowercase = true,
-      useUppercase = true,
-      useNumbers = true,
-      useSymbols = true,
-      customCharset = '',
-    } = options;
+    const policy = options instanceof PasswordPolicy ? options : new PasswordPolicy(options, this.charsets);
 
-    let charset = customCharset;
-
-    if (useLowercase) charset += this.charsets.lowercase;
-    if (useUppercase) charset += this.charsets.uppercase;
-    if (useNumbers) charset += this.charsets.numeric;
-    if (useSymbols) charset += this.charsets.symbols;
-
-    return this.generatePassword(charset, length);
+    for (let attempt = 0; attempt < MAX_POLICY_ATTEMPTS; attempt++) {
+      const password = this._draftPassword(policy);
+      if (password !== null && policy.validate(password).valid) return password;
+    }
+    throw new PolicyError('could not generate a password satisfying the policy, relax the repetition, sequence or position rules', 'unsatisfiable');
   }
 
   /**
@@ -68,19 +92,320 @@ class CipherCraft {
   Key(length = 32) {
     // Define character set for key generation
     const charset = 'abcdef0123456789';
-    return this.generatePassword(charset, length);
+    return this.BasicPassword(charset, length);
+  }
+
+  /**
+   * Generates a random token of a given size in bytes.
+   *
+   * @param {Object} options - Options for token generation.
+   *   @property {number} bytes - Number of random bytes.
+   *   @property {string} encoding - hex, base64, base64url, base32, crockford, base58, base62, buffer or uint8array.
+   * @returns {string|Buffer|Uint8Array} - Encoded token.
+   */
+  Token(options = {}) {
+    const { bytes = 32, encoding = 'hex' } = options;
+    if (!Number.isInteger(bytes) || bytes < 1) {
+      throw new RangeError(`bytes must be a positive integer, got ${bytes}`);
+    }
+    return encode(this._getRandomBytes(bytes), encoding);
   }
 
   /**
-   * Generates a random integer within the specified range.
+   * Generates a UUID (RFC 9562).
+   *
+   * @param {number} version - 4 (random) or 7 (Unix-time ordered).
+   * @returns {string} - UUID in 8-4-4-4-12 form.
+   */
+  UUID(version = 4) {
+    const bytes = this._getRandomBytes(16);
+
+    if (version === 7) {
+      // 48-bit big-endian millisecond timestamp, so v7 UUIDs sort by creation time
+      let time = Date.now();
+      for (let i = 5; i >= 0; i--) {
+        bytes[i] = time % 256;
+        time = Math.floor(time / 256);
+      }
+    } else if (version !== 4) {
+      throw new RangeError(`UUID version must be 4 or 7, got ${version}`);
+    }
+
+    bytes[6] = (bytes[6] & 0x0f) | (version << 4);
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC variant
+    const hex = Buffer.from(bytes).toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  /**
+   * Generates a prefixed API key ending in a CRC-32 checksum, so typos and truncated keys
+   * can be rejected offline with VerifyApiKey before any database lookup.
+   *
+   * @param {Object} options - Options for API key generation.
+   *   @property {string} prefix - Text identifying the key type (e.g. 'cf_live_').
+   *   @property {number} bytes - Number of random bytes.
+   * @returns {string} - Key such as cf_live_<base62 random><base62 checksum>.
+   */
+  ApiKey(options = {}) {
+    const { prefix = 'cf_live_', bytes = 24 } = options;
+    if (!Number.isInteger(bytes) || bytes < 1) {
+      throw new RangeError(`bytes must be a positive integer, got ${bytes}`);
+    }
+
+    const width = Math.ceil((bytes * 8) / Math.log2(BASE62_ALPHABET.length));
+    const body = prefix + baseN(this._getRandomBytes(bytes), BASE62_ALPHABET, width);
+    return body + this._apiKeyChecksum(body);
+  }
+
+  /**
+   * Checks the checksum (and optionally the prefix) of an API key made by ApiKey.
+   *
+   * @param {string} key - Key to check.
+   * @param {string} prefix - Expected prefix; any prefix is accepted when omitted.
+   * @returns {boolean} - True if the key is well-formed.
+   */
+  VerifyApiKey(key, prefix) {
+    if (typeof key !== 'string' || key.length <= API_KEY_CHECKSUM_LENGTH) return false;
+    if (prefix !== undefined && !key.startsWith(prefix)) return false;
+
+    const body = key.slice(0, -API_KEY_CHECKSUM_LENGTH);
+    return key.slice(-API_KEY_CHECKSUM_LENGTH) === this._apiKeyChecksum(body);
+  }
+
+  /**
+   * Generates a TOTP shared secret (RFC 6238) and its otpauth:// provisioning URI for authenticator apps.
+   *
+   * @param {Object} options - Options for TOTP secret generation.
+   *   @property {string} account - Account name shown in the app (e.g. the user's email).
+   *   @property {string} issuer - Service name shown in the app.
+   *   @property {number} bytes - Secret size in bytes (default: 20, the SHA-1 block recommendation; at least 16).
+   *   @property {string} algorithm - SHA1, SHA256 or SHA512.
+   *   @property {number} digits - Code length.
+   *   @property {number} period - Code lifetime in seconds.
+   * @returns {Object} - { secret, uri } with the secret in unpadded base32.
+   */
+  TotpSecret(options = {}) {
+    const {
+      account,
+      issuer,
+      bytes = 20,
+      algorithm = 'SHA1',
+      digits = 6,
+      period = 30,
+    } = options;
+
+    if (typeof account !== 'string' || !account) {
+      throw new TypeError('account must be a non-empty string');
+    }
+    if (!['SHA1', 'SHA256', 'SHA512'].includes(algorithm)) {
+      throw new RangeError(`algorithm must be SHA1, SHA256 or SHA512, got ${algorithm}`);
+    }
+    // RFC 4226 section 4 requires shared secrets of at least 128 bits
+    if (!Number.isInteger(bytes) || bytes < TOTP_MIN_SECRET_BYTES) {
+      throw new RangeError(`bytes must be an integer of at least ${TOTP_MIN_SECRET_BYTES}, got ${bytes}`);
+    }
+    if (!Number.isInteger(digits) || digits < 1) {
+      throw new RangeError(`digits must be a positive integer, got ${digits}`);
+    }
+    if (!Number.isInteger(period) || period < 1) {
+      throw new RangeError(`period must be a positive integer, got ${period}`);
+    }
+
+    const secret = encode(this._getRandomBytes(bytes), 'base32').replace(/=+$/, '');
+    const label = issuer ? `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}` : encodeURIComponent(account);
+    // Built by hand: URLSearchParams encodes spaces as '+', which authenticator apps show literally
+    const params = { secret, ...(issuer ? { issuer } : {}), algorithm, digits, period };
+    const query = Object.entries(params).map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('&');
+
+    return { secret, uri: `otpauth://totp/${label}?${query}` };
+  }
+
+  /**
+   * Generates a passphrase of words picked uniformly from a wordlist (Diceware style).
+   *
+   * @param {Object} options - Options for passphrase generation.
+   *   @property {number} words - Number of words.
+   *   @property {string} separator - Text placed between words.
+   *   @property {string} capitalize - 'none', 'first', 'words', 'upper' or 'random'.
+   *   @property {string|string[]} wordlist - Built-in name ('long'), wordlist file path, or list of words.
+   *   @property {boolean} digit - Append a random digit to a random word.
+   *   @property {boolean} symbol - Append a random symbol to a random word.
+   * @returns {Object} - { passphrase, entropy } with the entropy in bits.
+   */
+  Passphrase(options = {}) {
+    const {
+      words = 6,
+      separator = '-',
+      capitalize = 'none',
+      wordlist = 'long',
+      digit = false,
+      symbol = false,
+    } = options;
+
+    if (!Number.isInteger(words) || words < 1) {
+      throw new RangeError(`words must be a positive integer, got ${words}`);
+    }
+
+    const list = passphrase.resolveWordlist(wordlist);
+    const parts = Array.from({ length: words }, () => list[this.RandInt(list.length)]);
+    return this._finishPhrase(parts, words * Math.log2(list.length), { separator, capitalize, digit, symbol }, 'passphrase');
+  }
+
+  /**
+   * Generates a pronounceable password from random syllables, easy to read out loud.
+   *
+   * @param {Object} options - Options for pronounceable password generation.
+   *   @property {number} syllables - Number of syllables.
+   *   @property {number} groupSize - Syllables per group; groups are joined with the separator.
+   *   @property {string} separator - Text placed between groups.
+   *   @property {string} capitalize - 'none', 'first', 'words', 'upper' or 'random' (applied per group).
+   *   @property {boolean} digit - Append a random digit to a random group.
+   *   @property {boolean} symbol - Append a random symbol to a random group.
+   * @returns {Object} - { password, entropy } with the entropy in bits.
+   */
+  Pronounceable(options = {}) {
+    const {
+      syllables = 6,
+      groupSize = 2,
+      separator = '-',
+      capitalize = 'none',
+      digit = false,
+      symbol = false,
+    } = options;
+
+    if (!Number.isInteger(syllables) || syllables < 1) {
+      throw new RangeError(`syllables must be a positive integer, got ${syllables}`);
+    }
+    if (!Number.isInteger(groupSize) || groupSize < 1) {
+      throw new RangeError(`groupSize must be a positive integer, got ${groupSize}`);
+    }
+
+    const parts = [];
+    for (let i = 0; i < syllables; i += groupSize) {
+      const count = Math.min(groupSize, syllables - i);
+      parts.push(Array.from({ length: count }, () => passphrase.syllable(this.RandInt(passphrase.SYLLABLE_COUNT))).join(''));
+    }
+    return this._finishPhrase(parts, syllables * Math.log2(passphrase.SYLLABLE_COUNT), { separator, capitalize, digit, symbol }, 'password');
+  }
+
+  /**
+   * Generates an unbiased random integer within the specified range.
    *
    * @param {number} max - Maximum value (exclusive).
    * @returns {number} - Random integer.
    */
   RandInt(max) {
-    const randomBytes = this._getRandomBytes(4);
-    const randomValue = this._bytesToNumber(randomBytes);
-    return randomValue % max;
+    return randomInt(this.rng, max);
+  }
+
+  /**
+   * Runs a chi-square goodness-of-fit test over the characters produced by BasicPassword.
+   *
+   * @param {Object} options - Self-test options.
+   *   @property {string} charset - Character set to sample, duplicates ignored (default: all built-in charsets).
+   *   @property {number} samples - Number of characters to draw.
+   *   @property {number} alpha - Significance level below which the test fails.
+   * @returns {Object} - Chi-square statistic, degrees of freedom, p-value and verdict.
+   */
+  SelfTest(options = {}) {
+    const {
+      charset = Object.values(this.charsets).join(''),
+      samples = 100000,
+      alpha = 0.001,
+    } = options;
+
+    // A repeated character would be drawn more often than the others and fail a correct RNG
+    const distinct = [...new Set(charset)].join('');
+    const counts = new Map([...distinct].map((char) => [char, 0]));
+    const output = this.BasicPassword(distinct, samples);
+    for (const char of output) {
+      counts.set(char, counts.get(char) + 1);
+    }
+
+    const result = chiSquare([...counts.values()]);
+    return { ...result, samples, passed: result.pValue >= alpha };
+  }
+
+  /**
+   * Computes the base62 CRC-32 checksum appended to API keys.
+   *
+   * @param {string} body - Prefix and random part of the key.
+   * @returns {string} - Fixed-width checksum.
+   */
+  _apiKeyChecksum(body) {
+    const crc = crc32(body);
+    const bytes = Uint8Array.of(crc >>> 24, (crc >>> 16) & 0xff, (crc >>> 8) & 0xff, crc & 0xff);
+    return baseN(bytes, BASE62_ALPHABET, API_KEY_CHECKSUM_LENGTH);
+  }
+
+  /**
+   * Applies capitalization and digit/symbol insertion to phrase parts, then joins them.
+   *
+   * @param {string[]} parts - Words or syllable groups.
+   * @param {number} bits - Entropy of the parts so far.
+   * @param {Object} options - { separator, capitalize, digit, symbol }.
+   * @param {string} key - Name of the result property holding the phrase.
+   * @returns {Object} - { [key]: phrase, entropy }.
+   */
+  _finishPhrase(parts, bits, options, key) {
+    const randInt = (max) => this.RandInt(max);
+    let entropy = bits;
+
+    let step = passphrase.capitalize(parts, options.capitalize, randInt);
+    entropy += step.bits;
+    if (options.digit) {
+      step = passphrase.insertCharacter(step.parts, this.charsets.numeric, randInt);
+      entropy += step.bits;
+    }
+    if (options.symbol) {
+      step = passphrase.insertCharacter(step.parts, this.charsets.symbols, randInt);
+      entropy += step.bits;
+    }
+
+    return { [key]: step.parts.join(options.separator), entropy };
+  }
+
+  /**
+   * Builds one candidate password for a policy: prefix, position rules, class minimums,
+   * then random fill, with the unconstrained characters shuffled together.
+   *
+   * @param {PasswordPolicy} policy - Policy to draft for.
+   * @returns {string|null} - Candidate password, or null if the draw cannot meet the minimums.
+   */
+  _draftPassword(policy) {
+    const result = [...policy.prefix];
+    result.length = policy.length;
+
+    for (const { index, pool } of policy.positions) {
+      if (result[index] === undefined) result[index] = pool[this.RandInt(pool.length)];
+    }
+
+    const free = [];
+    const counts = { lowercase: 0, uppercase: 0, numeric: 0, symbols: 0 };
+    for (let i = 0; i < policy.length; i++) {
+      if (result[i] === undefined) free.push(i);
+      else counts[policy.classify(result[i])]++;
+    }
+
+    const chars = [];
+    for (const [name, min] of Object.entries(policy.minimums)) {
+      for (let i = counts[name]; i < min; i++) {
+        chars.push(policy.pools[name][this.RandInt(policy.pools[name].length)]);
+      }
+    }
+    if (chars.length > free.length) return null;
+    while (chars.length < free.length) {
+      chars.push(policy.pool[this.RandInt(policy.pool.length)]);
+    }
+
+    // Fisher-Yates shuffle so required characters can land anywhere
+    for (let i = chars.length - 1; i > 0; i--) {
+      const j = this.RandInt(i + 1);
+      [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+    free.forEach((index, i) => { result[index] = chars[i]; });
+
+    return result.join('');
   }
 
   /**
@@ -90,8 +415,7 @@ class CipherCraft {
    * @returns {Uint8Array} - Array of random bytes.
    */
   _getRandomBytes(length) {
-    const randomBytes = Array.from({ length }, () => Math.floor(Math.random() * 256));
-    return Uint8Array.from(randomBytes);
+    return this.rng.bytes(length);
   }
 
   /**
@@ -110,22 +434,76 @@ class CipherCraft {
 }
 
 class CipherForge {
+  /**
+   * @param {Object} options - Tester options.
+   *   @property {Array<Object|Dictionary>} dictionaries - Extra dictionaries ({ name, words | file, weight }) checked on every call.
+   *   @property {boolean} defaultDictionaries - Include the built-in password dictionary (default: true).
+   *   @property {BreachChecker|Object|string} breaches - Local breach store (checker, checker options or range-file directory).
+   * @throws {TypeError} - If breaches points at a range API mirror instead of a local store.
+   */
+  constructor(options = {}) {
+    const { dictionaries = [], defaultDictionaries = true, breaches } = options;
+
+    // Test reports breachCount only when a breach store is configured
+    if (breaches === undefined) {
+      this.breachChecker = null;
+    } else if (breaches instanceof BreachChecker) {
+      this.breachChecker = breaches;
+    } else {
+      this.breachChecker = new BreachChecker(typeof breaches === 'string' ? { directory: breaches } : breaches);
+    }
+    // Test runs synchronously, so a mirror would only fail later, on every call
+    if (this.breachChecker && !this.breachChecker.isLocal) {
+      throw new TypeError('breaches must be a local store; check passwords against a range API mirror with BreachChecker.check()');
+    }
+
+    // Wordlist files are read once here; indexes are built on first use
+    this.dictionaries = [
+      ...(defaultDictionaries ? [Dictionary.passwords()] : []),
+      ...dictionaries.map((dictionary) => this._toDictionary(dictionary)),
+    ];
+  }
+
+  /**
+   * Checks a password against a password policy, using the same rules as CipherCraft.CustomPassword.
+   *
+   * @param {string} password - Password to check.
+   * @param {Object|PasswordPolicy} policy - Policy options or a policy instance.
+   * @returns {Object} - { valid, errors } where each error is { rule, message }.
+   * @throws {PolicyError} - If the policy itself is invalid.
+   */
+  CheckPolicy(password, policy = {}) {
+    return (policy instanceof PasswordPolicy ? policy : new PasswordPolicy(policy)).validate(password);
+  }
+
   /**
    * Test the security of a given password.
+   * The score-based verdict is kept as-is; `estimate` adds the pattern-based guess estimate.
    *
    * @param {string} password - Password to test.
+   * @param {Object} options - Per-call options.
+   *   @property {Array<Object|Dictionary>} dictionaries - Dictionaries to check in addition to the constructor's.
+   *   @property {Object|string[]} userInputs - User context ({ username, email, company, ... }) to penalize.
    * @returns {Object} - Security assessment result.
    */
-  Test(password) {
+  Test(password, options = {}) {
+    const dictionaries = this._resolveDictionaries(options);
+
     // Calculate individual scores
     const lengthScore = parseFloat(this._calculateLengthScore(password).toFixed(2));
     const diversityScore = parseFloat(this._calculateDiversityScore(password).toFixed(2));
     const specialCharactersScore = parseFloat(this._calculateSpecialCharactersScore(password).toFixed(2));
-    const dictionaryScore = parseFloat(this._calculateDictionaryScore(password).toFixed(2));
+    const dictionaryMatches = this._findDictionaryMatches(password, dictionaries);
+    const dictionaryScore = parseFloat(this._calculateDictionaryScore(password, dictionaryMatches).toFixed(2));
+
+    // Look the password up in the local breach store, if one is configured
+    const breachCount = this.breachChecker ? this.breachChecker.checkSync(password) : undefined;
 
     // Calculate the total score
     const totalScore = parseFloat(((lengthScore * 0.25) + (diversityScore * 0.25) + (specialCharactersScore * 0.25) + (dictionaryScore * 0.25)).toFixed(2));
 
+    const { guesses, entropy, score, crackTimesSeconds, crackTimesDisplay } = estimator.estimate(password, { dictionaries });
+
     // Return the security assessment
     return {
       isSecure: totalScore >= 52,
@@ -135,10 +513,32 @@ class CipherForge {
         diversityScore,
         specialCharactersScore,
         dictionaryScore,
+        ...(breachCount === undefined ? {} : { breachCount }),
+      },
+      dictionaryMatches,
+      estimate: {
+        guesses,
+        entropy: parseFloat(entropy.toFixed(2)),
+        score,
+        crackTimesSeconds,
+        crackTimesDisplay,
       },
     };
   }
 
+  /**
+   * Estimate the number of guesses needed to crack a password.
+   * The password is split into its cheapest sequence of patterns: dictionary words, l33t
+   * substitutions, keyboard walks, dates, repeats and sequences.
+   *
+   * @param {string} password - Password to estimate.
+   * @param {Object} options - Per-call options, as for Test.
+   * @returns {Object} - Guesses, entropy (log2 of guesses), 0-4 score, crack times and matched sequence.
+   */
+  Estimate(password, options = {}) {
+    return estimator.estimate(password, { dictionaries: this._resolveDictionaries(options) });
+  }
+
   /**
    * Calculate the length score for a password.
    *
@@ -224,7 +624,6 @@ class CipherForge {
     // Ensure the score is not greater than 100%
     const specialCharactersScore = Math.min(percentageSpecialCharacters, 100);
   
-    console.log(`Special Characters Score: ${specialCharactersScore}`);
     return specialCharactersScore;
   }
 
@@ -232,39 +631,61 @@ class CipherForge {
    * Calculate the dictionary score for a password.
    *
    * @param {string} password - Password to calculate the dictionary score for.
+   * @param {Object[]} matches - Dictionary matches in the password (default: searched in the constructor's dictionaries).
    * @returns {number} - Dictionary score for the password.
    */
-  _calculateDictionaryScore(password) {
-    // Normalize the password and obtain words from the dictionary
-    let characterCountInDictionary = 0;
-    let uniqueWordsInPassword = [];
-  
-    // Iterate through each word in the password
-    for (let i = 0; i < psw.pwd.length; i++) {
-      const word = psw.pwd[i];
-      const alphanumericRegex = /^[a-zA-Z0-9]+$/;
-  
-      // Check if the word is alphanumeric
-      if (alphanumericRegex.test(word)) {
-        // Create a regex to match the whole word in the password
-        const regex = new RegExp('\\b(' + word + ')\\b', 'g');
-        let matches = password.match(regex);
-  
-        // Check if there are matches and the word is not already in the uniqueWords array
-        if (matches && !uniqueWordsInPassword.includes(word)) {
-          uniqueWordsInPassword.push(word);
-          characterCountInDictionary += word.length;
-        }
-      }
+  _calculateDictionaryScore(password, matches = this._findDictionaryMatches(password)) {
+    // Each character counts once, with the weight of the heaviest dictionary covering it
+    const weights = new Map();
+    for (const { i, j, weight } of matches) {
+      for (let k = i; k <= j; k++) weights.set(k, Math.max(weights.get(k) || 0, weight));
     }
+    const covered = [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+
     // Calculate the password score as the percentage of characters not in the dictionary
-    const score = 100 - ((characterCountInDictionary / password.length) * 100);
+    const score = Math.max(0, 100 - ((covered / password.length) * 100));
     return score;
+  }
+
+  /**
+   * Find every dictionary word contained in a password, case-insensitively.
+   *
+   * @param {string} password - Password to search.
+   * @param {Dictionary[]} dictionaries - Dictionaries to search (default: the constructor's).
+   * @returns {Object[]} - Matches { i, j, token, word, rank, dictionaryName, weight, input }, i and j being inclusive positions.
+   */
+  _findDictionaryMatches(password, dictionaries = this.dictionaries) {
+    return dictionaries.flatMap((dictionary) => dictionary.search(password, MIN_DICTIONARY_MATCH_LENGTH));
+  }
+
+  /**
+   * Combine the constructor's dictionaries with per-call dictionaries and user inputs.
+   *
+   * @param {Object} options - Per-call options with dictionaries and userInputs.
+   * @returns {Dictionary[]} - Dictionaries to use for this call.
+   */
+  _resolveDictionaries(options = {}) {
+    const { dictionaries = [], userInputs } = options;
+    return [
+      ...this.dictionaries,
+      ...dictionaries.map((dictionary) => this._toDictionary(dictionary)),
+      ...Dictionary.fromUserInputs(userInputs),
+    ];
+  }
 
+  /**
+   * Accept either a Dictionary or its constructor options.
+   *
+   * @param {Object|Dictionary} dictionary - Dictionary or { name, words | file, weight }.
+   * @returns {Dictionary} - Dictionary instance.
+   */
+  _toDictionary(dictionary) {
+    return dictionary instanceof Dictionary ? dictionary : new Dictionary(dictionary);
   }
 }
 
 
 module.exports = {
-    CipherCraft, CipherForge
+    CipherCraft, CipherForge, CryptoRandom, SeededRandom, PasswordPolicy, PolicyError, Dictionary,
+    BreachChecker, BreachStore, hash, verify, needsRehash
 }
@@ -0,0 +1,490 @@
+const { Dictionary } = require('./dictionary.js');
+
+// Common l33t substitutions, letter -> characters that may stand in for it
+const L33T_TABLE = {
+  a: ['4', '@'],
+  b: ['8'],
+  c: ['(', '{', '[', '<'],
+  e: ['3'],
+  g: ['6', '9'],
+  i: ['1', '!', '|'],
+  l: ['1', '|', '7'],
+  o: ['0'],
+  s: ['$', '5'],
+  t: ['+', '7'],
+  x: ['%'],
+  z: ['2'],
+};
+
+// Upper bound on substitution tables tried per password, to keep l33t matching linear in practice
+const MAX_L33T_SUBSTITUTIONS = 64;
+
+// US keyboard rows, each key written as unshifted + shifted character
+const QWERTY_ROWS = [
+  ['`~', '1!', '2@', '3#', '4$', '5%', '6^', '7&', '8*', '9(', '0)', '-_', '=+'],
+  [null, 'qQ', 'wW', 'eE', 'rR', 'tT', 'yY', 'uU', 'iI', 'oO', 'pP', '[{', ']}', '\\|'],
+  [null, 'aA', 'sS', 'dD', 'fF', 'gG', 'hH', 'jJ', 'kK', 'lL', ';:', '\'"'],
+  [null, 'zZ', 'xX', 'cC', 'vV', 'bB', 'nN', 'mM', ',<', '.>', '/?'],
+];
+
+// Neighbour offsets on a slanted keyboard (each row sits half a key to the right of the one above)
+const SLANTED_DIRECTIONS = [[-1, 0], [0, -1], [1, -1], [1, 0], [0, 1], [-1, 1]];
+
+// Dates are only recognised within this range of years
+const DATE_MIN_YEAR = 1000;
+const DATE_MAX_YEAR = 2050;
+
+// Ways to split an all-digit token of a given length into day, month and year
+const DATE_SPLITS = {
+  4: [[1, 2], [2, 3]],
+  5: [[1, 3], [2, 3]],
+  6: [[1, 2], [2, 4], [4, 5]],
+  7: [[1, 3], [2, 3], [4, 5], [4, 6]],
+  8: [[2, 4], [4, 6]],
+};
+
+// Largest code point step still treated as a sequence (e.g. 'aceg' has step 2)
+const MAX_SEQUENCE_DELTA = 5;
+
+let keyboardGraph = null;
+
+/**
+ * Returns the built-in dictionaries.
+ *
+ * @returns {Dictionary[]} - Default dictionaries.
+ */
+function getDictionaries() {
+  return [Dictionary.passwords()];
+}
+
+/**
+ * Returns the qwerty adjacency graph, building it on first use.
+ * Each character maps to its six neighbouring keys, in SLANTED_DIRECTIONS order, or null.
+ *
+ * @returns {Object} - Map of character to neighbour keys.
+ */
+function getKeyboardGraph() {
+  if (!keyboardGraph) {
+    keyboardGraph = {};
+    QWERTY_ROWS.forEach((row, y) => {
+      row.forEach((key, x) => {
+        if (!key) return;
+        const neighbours = SLANTED_DIRECTIONS.map(([dx, dy]) => (QWERTY_ROWS[y + dy] || [])[x + dx] || null);
+        for (const char of key) keyboardGraph[char] = neighbours;
+      });
+    });
+  }
+  return keyboardGraph;
+}
+
+/**
+ * Sorts matches by start then end position.
+ *
+ * @param {Object[]} matches - Matches to sort.
+ * @returns {Object[]} - Sorted matches.
+ */
+function sorted(matches) {
+  return matches.sort((a, b) => (a.i - b.i) || (a.j - b.j));
+}
+
+/**
+ * Finds every substring of the password that appears in a ranked dictionary, forwards or reversed.
+ *
+ * @param {string} password - Password to scan.
+ * @param {Dictionary[]} dictionaries - Dictionaries to search.
+ * @returns {Object[]} - Dictionary matches.
+ */
+function dictionaryMatch(password, dictionaries = getDictionaries()) {
+  const matches = dictionaryMatchForward(password, dictionaries);
+  const length = password.length;
+
+  // Reversed words: match the reversed password, then map positions back
+  const reversedPassword = password.split('').reverse().join('');
+  for (const match of dictionaryMatchForward(reversedPassword, dictionaries)) {
+    if (match.token.split('').reverse().join('').toLowerCase() === match.matchedWord) continue; // palindrome
+    matches.push({
+      ...match,
+      token: match.token.split('').reverse().join(''),
+      i: length - 1 - match.j,
+      j: length - 1 - match.i,
+      reversed: true,
+    });
+  }
+
+  return sorted(matches);
+}
+
+/**
+ * Forward-only dictionary matching, used for reversed and l33t-translated passwords.
+ *
+ * @param {string} password - Password to scan.
+ * @param {Dictionary[]} dictionaries - Dictionaries to search.
+ * @returns {Object[]} - Dictionary matches.
+ */
+function dictionaryMatchForward(password, dictionaries) {
+  const matches = [];
+  for (const dictionary of dictionaries) {
+    for (const { i, j, token, word, rank, dictionaryName, weight, input } of dictionary.search(password, 2)) {
+      matches.push({
+        pattern: 'dictionary', i, j, token, matchedWord: word, rank, dictionaryName, weight, input, reversed: false, l33t: false,
+      });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Enumerates substitution tables (l33t char -> letter) for the l33t characters present in a password.
+ *
+ * @param {string} password - Password to inspect.
+ * @returns {Object[]} - Substitution tables, capped at MAX_L33T_SUBSTITUTIONS.
+ */
+function enumerateL33tSubstitutions(password) {
+  // Letters each l33t character present in the password could stand for
+  const candidates = {};
+  for (const [letter, subs] of Object.entries(L33T_TABLE)) {
+    for (const sub of subs) {
+      if (password.includes(sub)) (candidates[sub] = candidates[sub] || []).push(letter);
+    }
+  }
+
+  let tables = [{}];
+  for (const [sub, letters] of Object.entries(candidates)) {
+    const next = [];
+    for (const table of tables) {
+      for (const letter of letters) {
+        if (next.length < MAX_L33T_SUBSTITUTIONS) next.push({ ...table, [sub]: letter });
+      }
+    }
+    tables = next;
+  }
+  return Object.keys(candidates).length ? tables : [];
+}
+
+/**
+ * Finds dictionary words hidden behind l33t substitutions (e.g. p4ssw0rd).
+ *
+ * @param {string} password - Password to scan.
+ * @param {Dictionary[]} dictionaries - Dictionaries to search.
+ * @returns {Object[]} - Dictionary matches flagged as l33t.
+ */
+function l33tMatch(password, dictionaries = getDictionaries()) {
+  const matches = [];
+  const seen = new Set();
+
+  for (const table of enumerateL33tSubstitutions(password)) {
+    const translated = password.split('').map((char) => table[char] || char).join('');
+    for (const match of dictionaryMatchForward(translated, dictionaries)) {
+      const token = password.slice(match.i, match.j + 1);
+      if (token.toLowerCase() === match.matchedWord) continue; // no substitution involved
+
+      // Only keep the substitutions that actually occur in this token
+      const sub = {};
+      for (const [l33tChar, letter] of Object.entries(table)) {
+        if (token.includes(l33tChar)) sub[l33tChar] = letter;
+      }
+
+      const key = `${match.i}:${match.j}:${match.dictionaryName}:${match.input}:${match.matchedWord}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      matches.push({ ...match, token, l33t: true, sub });
+    }
+  }
+
+  return sorted(matches);
+}
+
+/**
+ * Finds keyboard walks of three or more characters (qwerty, 1qaz, zxcvbn).
+ *
+ * @param {string} password - Password to scan.
+ * @returns {Object[]} - Spatial matches with turn and shift counts.
+ */
+function spatialMatch(password) {
+  const graph = getKeyboardGraph();
+  const shiftedRegex = /[~!@#$%^&*()_+QWERTYUIOPASDFGHJKL:"ZXCVBNM<>?{}|]/;
+  const matches = [];
+
+  let i = 0;
+  while (i < password.length - 1) {
+    let j = i + 1;
+    let lastDirection = null;
+    let turns = 0;
+    let shiftedCount = shiftedRegex.test(password[i]) ? 1 : 0;
+
+    for (;;) {
+      const neighbours = graph[password[j - 1]] || [];
+      let found = false;
+
+      if (j < password.length) {
+        const current = password[j];
+        for (let direction = 0; direction < neighbours.length; direction++) {
+          const key = neighbours[direction];
+          if (key && key.includes(current)) {
+            found = true;
+            if (key.indexOf(current) === 1) shiftedCount++;
+            if (lastDirection !== direction) {
+              turns++;
+              lastDirection = direction;
+            }
+            break;
+          }
+        }
+      }
+
+      if (found) {
+        j++;
+      } else {
+        if (j - i > 2) {
+          matches.push({
+            pattern: 'spatial', i, j: j - 1, token: password.slice(i, j),
+            graph: 'qwerty', turns, shiftedCount,
+          });
+        }
+        i = j;
+        break;
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Finds sequences with a constant code point step (abc, 9753, ZYX).
+ *
+ * @param {string} password - Password to scan.
+ * @returns {Object[]} - Sequence matches.
+ */
+function sequenceMatch(password) {
+  const matches = [];
+  if (password.length < 2) return matches;
+
+  const update = (i, j, delta) => {
+    if ((j - i > 1 || Math.abs(delta) === 1) && delta !== 0 && Math.abs(delta) <= MAX_SEQUENCE_DELTA) {
+      const token = password.slice(i, j + 1);
+      let sequenceName = 'unicode';
+      let sequenceSpace = 26;
+      if (/^[a-z]+$/.test(token)) {
+        sequenceName = 'lower';
+      } else if (/^[A-Z]+$/.test(token)) {
+        sequenceName = 'upper';
+      } else if (/^\d+$/.test(token)) {
+        sequenceName = 'digits';
+        sequenceSpace = 10;
+      }
+      matches.push({
+        pattern: 'sequence', i, j, token, sequenceName, sequenceSpace, ascending: delta > 0,
+      });
+    }
+  };
+
+  let i = 0;
+  let lastDelta = null;
+  for (let k = 1; k < password.length; k++) {
+    const delta = password.charCodeAt(k) - password.charCodeAt(k - 1);
+    if (lastDelta === null) lastDelta = delta;
+    if (delta === lastDelta) continue;
+    update(i, k - 1, lastDelta);
+    i = k - 1;
+    lastDelta = delta;
+  }
+  update(i, password.length - 1, lastDelta);
+
+  return matches;
+}
+
+/**
+ * Finds repeated tokens (aaa, abcabc). The base token's guesses are estimated by the caller.
+ *
+ * @param {string} password - Password to scan.
+ * @returns {Object[]} - Repeat matches with their base token and repeat count.
+ */
+function repeatMatch(password) {
+  const matches = [];
+  const greedy = /(.+)\1+/g;
+  const lazy = /(.+?)\1+/g;
+  const lazyAnchored = /^(.+?)\1+$/;
+
+  let lastIndex = 0;
+  while (lastIndex < password.length) {
+    greedy.lastIndex = lastIndex;
+    lazy.lastIndex = lastIndex;
+    const greedyMatch = greedy.exec(password);
+    const lazyMatch = lazy.exec(password);
+    if (!greedyMatch) break;
+
+    let match;
+    let baseToken;
+    if (greedyMatch[0].length > lazyMatch[0].length) {
+      // Greedy caught a longer repeat (aabaab); its shortest repeating unit is the base
+      match = greedyMatch;
+      baseToken = lazyAnchored.exec(match[0])[1];
+    } else {
+      match = lazyMatch;
+      baseToken = match[1];
+    }
+
+    const i = match.index;
+    const j = match.index + match[0].length - 1;
+    matches.push({
+      pattern: 'repeat', i, j, token: match[0], baseToken, repeatCount: match[0].length / baseToken.length,
+    });
+    lastIndex = j + 1;
+  }
+
+  return matches;
+}
+
+/**
+ * Finds recent years (1900-2099).
+ *
+ * @param {string} password - Password to scan.
+ * @returns {Object[]} - Year matches.
+ */
+function yearMatch(password) {
+  const matches = [];
+  const regex = /19\d\d|20\d\d/g;
+  let match;
+  while ((match = regex.exec(password)) !== null) {
+    matches.push({
+      pattern: 'year', i: match.index, j: match.index + 3, token: match[0], year: parseInt(match[0], 10),
+    });
+  }
+  return matches;
+}
+
+/**
+ * Finds dates with or without separators (13/03/1990, 1990-3-13, 130390).
+ *
+ * @param {string} password - Password to scan.
+ * @returns {Object[]} - Date matches.
+ */
+function dateMatch(password) {
+  const matches = [];
+  const maybeDateNoSeparator = /^\d{4,8}$/;
+  const maybeDateWithSeparator = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/;
+  const referenceYear = new Date().getFullYear();
+
+  for (let i = 0; i <= password.length - 4; i++) {
+    for (let j = i + 3; j <= i + 7 && j < password.length; j++) {
+      const token = password.slice(i, j + 1);
+      if (!maybeDateNoSeparator.test(token)) continue;
+
+      // Keep the interpretation whose year is closest to the present
+      let best = null;
+      for (const [k, l] of DATE_SPLITS[token.length]) {
+        const dmy = mapIntsToDmy([token.slice(0, k), token.slice(k, l), token.slice(l)].map((part) => parseInt(part, 10)));
+        if (dmy && (!best || Math.abs(dmy.year - referenceYear) < Math.abs(best.year - referenceYear))) {
+          best = dmy;
+        }
+      }
+      if (best) matches.push({ pattern: 'date', i, j, token, separator: '', ...best });
+    }
+  }
+
+  for (let i = 0; i <= password.length - 6; i++) {
+    for (let j = i + 5; j <= i + 9 && j < password.length; j++) {
+      const token = password.slice(i, j + 1);
+      const parts = maybeDateWithSeparator.exec(token);
+      if (!parts) continue;
+      const dmy = mapIntsToDmy([parts[1], parts[3], parts[4]].map((part) => parseInt(part, 10)));
+      if (dmy) matches.push({ pattern: 'date', i, j, token, separator: parts[2], ...dmy });
+    }
+  }
+
+  // Drop dates contained in a longer date (1/1/91 inside 1/1/1991)
+  return matches.filter((match) => !matches.some((other) => other !== match
+    && other.i <= match.i && other.j >= match.j && (other.i !== match.i || other.j !== match.j)));
+}
+
+/**
+ * Interprets three integers as a day, month and year, if any order is plausible.
+ *
+ * @param {number[]} ints - Three integers in token order.
+ * @returns {Object|null} - { year, month, day } or null.
+ */
+function mapIntsToDmy(ints) {
+  if (ints[1] > 31 || ints[1] <= 0) return null;
+
+  let over12 = 0;
+  let over31 = 0;
+  let under1 = 0;
+  for (const int of ints) {
+    if ((int > 99 && int < DATE_MIN_YEAR) || int > DATE_MAX_YEAR) return null;
+    if (int > 31) over31++;
+    if (int > 12) over12++;
+    if (int <= 0) under1++;
+  }
+  if (over31 >= 2 || over12 === 3 || under1 >= 2) return null;
+
+  const splits = [[ints[2], ints.slice(0, 2)], [ints[0], ints.slice(1, 3)]];
+  for (const [year, rest] of splits) {
+    if (year >= DATE_MIN_YEAR && year <= DATE_MAX_YEAR) {
+      const dm = mapIntsToDm(rest);
+      return dm ? { year, ...dm } : null;
+    }
+  }
+  for (const [year, rest] of splits) {
+    const dm = mapIntsToDm(rest);
+    if (dm) return { year: twoToFourDigitYear(year), ...dm };
+  }
+  return null;
+}
+
+/**
+ * Interprets two integers as a day and month, in either order.
+ *
+ * @param {number[]} ints - Two integers.
+ * @returns {Object|null} - { month, day } or null.
+ */
+function mapIntsToDm(ints) {
+  for (const [day, month] of [ints, [...ints].reverse()]) {
+    if (day >= 1 && day <= 31 && month >= 1 && month <= 12) return { day, month };
+  }
+  return null;
+}
+
+/**
+ * Expands a two-digit year to four digits (91 -> 1991, 15 -> 2015).
+ *
+ * @param {number} year - Year to expand.
+ * @returns {number} - Four-digit year.
+ */
+function twoToFourDigitYear(year) {
+  if (year > 99) return year;
+  if (year > 50) return year + 1900;
+  return year + 2000;
+}
+
+/**
+ * Runs every matcher except repeat base-token scoring over a password.
+ *
+ * @param {string} password - Password to scan.
+ * @param {Dictionary[]} dictionaries - Dictionaries to search.
+ * @returns {Object[]} - All matches, sorted by position.
+ */
+function omnimatch(password, dictionaries = getDictionaries()) {
+  return sorted([
+    ...dictionaryMatch(password, dictionaries),
+    ...l33tMatch(password, dictionaries),
+    ...spatialMatch(password),
+    ...repeatMatch(password),
+    ...sequenceMatch(password),
+    ...yearMatch(password),
+    ...dateMatch(password),
+  ]);
+}
+
+module.exports = {
+  omnimatch,
+  dictionaryMatch,
+  l33tMatch,
+  spatialMatch,
+  sequenceMatch,
+  repeatMatch,
+  yearMatch,
+  dateMatch,
+  getDictionaries,
+  getKeyboardGraph,
+};
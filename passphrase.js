@@ -0,0 +1,117 @@
+const fs = require('fs'); // Import the 'fs' module for file operations
+const eff = require('./eff.js');
+const { Dictionary } = require('./dictionary.js');
+
+// Wordlists selectable by name
+const WORDLISTS = {
+  long: eff.large,
+};
+
+// EFF short lists: recognized by name but not bundled yet, so they must be downloaded and passed by path
+const UNBUNDLED_WORDLISTS = {
+  short: 'https://www.eff.org/files/2016/09/08/eff_short_wordlist_1.txt',
+  short2: 'https://www.eff.org/files/2016/09/08/eff_short_wordlist_2_0.txt',
+};
+
+// Sounds for pronounceable syllables: one consonant, one vowel, optional final consonant.
+// Single letters keep the split between syllables unambiguous, so the entropy stays exact.
+// Letters that sound alike over the phone are left out: k stands for c and q, and x and y are not used.
+const ONSETS = 'bdfghjklmnprstvwz';
+const VOWELS = 'aeiou';
+const CODAS = ['', 'n', 'r', 's', 'l', 'm', 't', 'k'];
+
+/**
+ * Resolves a wordlist option to a list of distinct lowercase words.
+ *
+ * @param {string|string[]} wordlist - Built-in name ('long'), path of a wordlist file, or a list of words.
+ * @returns {string[]} - Distinct words.
+ */
+function resolveWordlist(wordlist) {
+  let words;
+  if (Array.isArray(wordlist)) {
+    words = wordlist;
+  } else if (WORDLISTS[wordlist]) {
+    return WORDLISTS[wordlist];
+  } else if (UNBUNDLED_WORDLISTS[wordlist] && !fs.existsSync(wordlist)) {
+    throw new RangeError(`the EFF ${wordlist} wordlist is not bundled; download ${UNBUNDLED_WORDLISTS[wordlist]} and pass its path as wordlist`);
+  } else if (typeof wordlist === 'string') {
+    // Diceware files prefix each word with its dice roll ("11111	abacus")
+    words = Dictionary.readWordlist(wordlist).map((line) => line.split(/\s+/).pop());
+  } else {
+    throw new TypeError('wordlist must be a built-in name, a file path or an array of words');
+  }
+
+  const distinct = [...new Set(words.map((word) => String(word).trim().toLowerCase()).filter(Boolean))];
+  if (distinct.length < 2) {
+    throw new RangeError('wordlist must contain at least two distinct words');
+  }
+  return distinct;
+}
+
+/**
+ * Applies a capitalization mode to each part and returns the entropy it adds.
+ *
+ * @param {string[]} parts - Words or syllable groups, lowercase.
+ * @param {string} mode - 'none', 'first', 'words', 'upper' or 'random'.
+ * @param {function(number): number} randInt - Uniform integer source.
+ * @returns {Object} - { parts, bits }.
+ */
+function capitalize(parts, mode, randInt) {
+  const title = (part) => part.charAt(0).toUpperCase() + part.slice(1);
+  switch (mode) {
+    case 'none':
+      return { parts, bits: 0 };
+    case 'first':
+      return { parts: parts.map((part, i) => (i === 0 ? title(part) : part)), bits: 0 };
+    case 'words':
+      return { parts: parts.map(title), bits: 0 };
+    case 'upper':
+      return { parts: parts.map((part) => part.toUpperCase()), bits: 0 };
+    case 'random': {
+      // Each part is independently capitalized or not: one bit per part that has a letter to change
+      let bits = 0;
+      const result = parts.map((part) => {
+        if (title(part) === part) return part;
+        bits++;
+        return randInt(2) ? title(part) : part;
+      });
+      return { parts: result, bits };
+    }
+    default:
+      throw new RangeError(`capitalize must be one of none, first, words, upper or random, got ${mode}`);
+  }
+}
+
+/**
+ * Appends a random character from a charset to a random part and returns the entropy it adds.
+ *
+ * @param {string[]} parts - Words or syllable groups.
+ * @param {string} charset - Characters to choose from.
+ * @param {function(number): number} randInt - Uniform integer source.
+ * @returns {Object} - { parts, bits }.
+ */
+function insertCharacter(parts, charset, randInt) {
+  const index = randInt(parts.length);
+  const result = [...parts];
+  result[index] += charset[randInt(charset.length)];
+  return { parts: result, bits: Math.log2(parts.length * charset.length) };
+}
+
+/**
+ * Builds one pronounceable syllable from an index in [0, SYLLABLE_COUNT).
+ *
+ * @param {number} index - Syllable index.
+ * @returns {string} - Syllable such as "ba" or "tor".
+ */
+function syllable(index) {
+  const coda = CODAS[index % CODAS.length];
+  const rest = Math.floor(index / CODAS.length);
+  return ONSETS[Math.floor(rest / VOWELS.length)] + VOWELS[rest % VOWELS.length] + coda;
+}
+
+// Number of distinct syllables
+const SYLLABLE_COUNT = ONSETS.length * VOWELS.length * CODAS.length;
+
+module.exports = {
+  resolveWordlist, capitalize, insertCharacter, syllable, SYLLABLE_COUNT, WORDLISTS
+};
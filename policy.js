@@ -0,0 +1,325 @@
+// Built-in character classes shared by generation and validation
+const CHARSETS = {
+  lowercase: 'abcdefghijklmnopqrstuvwxyz',
+  uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  numeric: '0123456789',
+  symbols: '!@#$%^&*()_+-=[]{}|;:,.<>?',
+};
+
+// Characters that are easily confused with one another when read or typed
+const SIMILAR_CHARACTERS = '0O1lI|';
+
+// Option names controlling each character class
+const CLASS_OPTIONS = {
+  lowercase: { use: 'useLowercase', min: 'minLower', label: 'lowercase' },
+  uppercase: { use: 'useUppercase', min: 'minUpper', label: 'uppercase' },
+  numeric: { use: 'useNumbers', min: 'minNumbers', label: 'numeric' },
+  symbols: { use: 'useSymbols', min: 'minSymbols', label: 'symbol' },
+};
+
+/**
+ * Error thrown when a password policy is invalid or cannot be satisfied.
+ */
+class PolicyError extends Error {
+  /**
+   * @param {string} message - Description of the problem.
+   * @param {string} rule - Name of the offending rule.
+   */
+  constructor(message, rule) {
+    super(message);
+    this.name = 'PolicyError';
+    this.rule = rule;
+  }
+}
+
+/**
+ * Password policy shared by the generator and the validator, so generated passwords
+ * and user-chosen passwords are held to exactly the same rules.
+ */
+class PasswordPolicy {
+  /**
+   * @param {Object} options - Policy options.
+   *   @property {number} length - Password length (minimum length when validating).
+   *   @property {boolean} useLowercase - Allow lowercase characters.
+   *   @property {boolean} useUppercase - Allow uppercase characters.
+   *   @property {boolean} useNumbers - Allow numeric characters.
+   *   @property {boolean} useSymbols - Allow symbol characters.
+   *   @property {string} customCharset - Extra characters to allow.
+   *   @property {number} minLower - Minimum lowercase characters (default: 1 when allowed).
+   *   @property {number} minUpper - Minimum uppercase characters (default: 1 when allowed).
+   *   @property {number} minNumbers - Minimum numeric characters (default: 1 when allowed).
+   *   @property {number} minSymbols - Minimum symbol characters (default: 1 when allowed).
+   *   @property {string} exclude - Characters that must never appear.
+   *   @property {boolean} excludeSimilar - Exclude look-alike characters (0/O, 1/l/I, |).
+   *   @property {boolean} noRepeating - Forbid the same character twice in a row.
+   *   @property {boolean} noSequential - Forbid runs of three sequential letters or digits (abc, 321).
+   *   @property {string} prefix - Literal text the password must start with.
+   *   @property {Object} positions - Map of index (negative counts from the end) to allowed class name(s).
+   * @param {Object} charsets - Character classes to use (default: built-in charsets).
+   */
+  constructor(options = {}, charsets = CHARSETS) {
+    const {
+      length = 12,
+      customCharset = '',
+      exclude = '',
+      excludeSimilar = false,
+      noRepeating = false,
+      noSequential = false,
+      prefix = '',
+      positions = {},
+    } = options;
+
+    if (!Number.isInteger(length) || length < 1) {
+      throw new PolicyError(`length must be a positive integer, got ${length}`, 'length');
+    }
+    if (typeof exclude !== 'string') {
+      throw new PolicyError(`exclude must be a string of characters, got ${typeof exclude}`, 'exclude');
+    }
+    if (typeof customCharset !== 'string') {
+      throw new PolicyError(`customCharset must be a string of characters, got ${typeof customCharset}`, 'customCharset');
+    }
+    if (typeof prefix !== 'string' || [...prefix].length > length) {
+      throw new PolicyError(`prefix must be a string no longer than length (${length})`, 'prefix');
+    }
+
+    this.charsets = charsets;
+    this.length = length;
+    this.prefix = prefix;
+    this.noRepeating = noRepeating;
+    this.noSequential = noSequential;
+    this.customCharset = customCharset;
+    this.excluded = new Set([...exclude, ...(excludeSimilar ? SIMILAR_CHARACTERS : '')]);
+
+    // Allowed characters and minimum count per class
+    this.pools = {};
+    this.minimums = {};
+    for (const [name, keys] of Object.entries(CLASS_OPTIONS)) {
+      const enabled = options[keys.use] !== false;
+      const min = options[keys.min] === undefined ? (enabled ? 1 : 0) : options[keys.min];
+
+      if (!Number.isInteger(min) || min < 0) {
+        throw new PolicyError(`${keys.min} must be a non-negative integer, got ${min}`, keys.min);
+      }
+      if (min > 0 && !enabled) {
+        throw new PolicyError(`${keys.min} is ${min} but ${keys.use} is false`, keys.min);
+      }
+
+      this.pools[name] = enabled ? this._allowed(charsets[name]) : '';
+      this.minimums[name] = min;
+
+      if (min > 0 && !this.pools[name]) {
+        throw new PolicyError(`${keys.min} is ${min} but every ${keys.label} character is excluded`, keys.min);
+      }
+    }
+    this.pool = this._allowed(Object.values(this.pools).join('') + customCharset);
+
+    this.positions = this._normalizePositions(positions);
+    this._assertSatisfiable();
+  }
+
+  /**
+   * Checks a password against every rule of the policy.
+   *
+   * @param {string} password - Password to check.
+   * @returns {Object} - { valid, errors } where each error is { rule, message }.
+   */
+  validate(password) {
+    const chars = [...password];
+    const errors = [];
+    const fail = (rule, message) => errors.push({ rule, message });
+
+    if (chars.length < this.length) {
+      fail('length', `must be at least ${this.length} characters long`);
+    }
+    if (!password.startsWith(this.prefix)) {
+      fail('prefix', `must start with "${this.prefix}"`);
+    }
+
+    for (const { offset, classes } of this.positions) {
+      // Negative offsets count from the end of this password, which may be longer than length
+      const index = offset < 0 ? chars.length + offset : offset;
+      if (index >= 0 && index < chars.length && !classes.includes(this.classify(chars[index]))) {
+        fail('positions', `character ${index + 1} must be ${classes.join(' or ')}`);
+      }
+    }
+
+    const counts = this._countClasses(chars);
+    for (const [name, keys] of Object.entries(CLASS_OPTIONS)) {
+      if (counts[name] < this.minimums[name]) {
+        fail(keys.min, `must contain at least ${this.minimums[name]} ${keys.label} character(s)`);
+      }
+    }
+
+    const excluded = chars.filter((char) => this.excluded.has(char));
+    if (excluded.length) {
+      fail('exclude', `must not contain ${[...new Set(excluded)].join(' ')}`);
+    }
+
+    const disabled = chars.filter((char) => {
+      const name = this.classify(char);
+      return !this.pools[name] && !this.customCharset.includes(char) && !this.excluded.has(char);
+    });
+    if (disabled.length) {
+      fail('charset', `must not contain ${[...new Set(disabled)].join(' ')}`);
+    }
+
+    if (this.noRepeating && chars.some((char, i) => i > 0 && char === chars[i - 1])) {
+      fail('noRepeating', 'must not repeat the same character twice in a row');
+    }
+    if (this.noSequential && PasswordPolicy.hasSequence(chars)) {
+      fail('noSequential', 'must not contain three sequential letters or digits');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Returns the character class a character belongs to, using the policy's charsets.
+   * Anything that is not a letter or digit counts as a symbol.
+   *
+   * @param {string} char - Character to classify.
+   * @returns {string} - Class name.
+   */
+  classify(char) {
+    if (this.charsets.lowercase.includes(char)) return 'lowercase';
+    if (this.charsets.uppercase.includes(char)) return 'uppercase';
+    if (this.charsets.numeric.includes(char)) return 'numeric';
+    return 'symbols';
+  }
+
+  /**
+   * Checks whether a list of characters contains an ascending or descending run of three
+   * letters or digits (case-insensitive).
+   *
+   * @param {string[]} chars - Characters to inspect.
+   * @returns {boolean} - True if a sequence is found.
+   */
+  static hasSequence(chars) {
+    const alphanumeric = /^[a-zA-Z0-9]$/;
+    for (let i = 2; i < chars.length; i++) {
+      const run = chars.slice(i - 2, i + 1);
+      if (!run.every((char) => alphanumeric.test(char))) continue;
+      const [a, b, c] = run.map((char) => char.toLowerCase().charCodeAt(0));
+      const step = b - a;
+      if ((step === 1 || step === -1) && c - b === step) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Removes excluded characters and duplicates from a charset.
+   *
+   * @param {string} charset - Characters to filter.
+   * @returns {string} - Allowed characters.
+   */
+  _allowed(charset) {
+    return [...new Set(charset)].filter((char) => !this.excluded.has(char)).join('');
+  }
+
+  /**
+   * Counts the characters of each class.
+   *
+   * @param {string[]} chars - Characters to count.
+   * @returns {Object} - Count per class name.
+   */
+  _countClasses(chars) {
+    const counts = { lowercase: 0, uppercase: 0, numeric: 0, symbols: 0 };
+    for (const char of chars) {
+      counts[this.classify(char)]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Resolves position rules to absolute indexes and their allowed characters.
+   *
+   * @param {Object} positions - Map of index to class name or array of class names.
+   * @returns {Object[]} - List of { offset, index, classes, pool }, index resolved against length.
+   */
+  _normalizePositions(positions) {
+    return Object.entries(positions).map(([key, value]) => {
+      const offset = Number(key);
+      const index = offset < 0 ? this.length + offset : offset;
+      if (!Number.isInteger(offset) || index < 0 || index >= this.length) {
+        throw new PolicyError(`position ${key} is outside a password of length ${this.length}`, 'positions');
+      }
+
+      const classes = Array.isArray(value) ? value : [value];
+      for (const name of classes) {
+        if (!(name in CLASS_OPTIONS)) {
+          throw new PolicyError(`position ${key} uses unknown class "${name}"`, 'positions');
+        }
+      }
+
+      const pool = classes.map((name) => this.pools[name]).join('');
+      const prefixChar = [...this.prefix][index];
+      if (prefixChar !== undefined && !classes.includes(this.classify(prefixChar))) {
+        throw new PolicyError(`position ${key} falls inside the prefix and "${prefixChar}" is not ${classes.join(' or ')}`, 'positions');
+      }
+      if (prefixChar === undefined && !pool) {
+        throw new PolicyError(`position ${key} allows ${classes.join(' or ')}, but no such character is allowed`, 'positions');
+      }
+      return { offset, index, classes, pool };
+    });
+  }
+
+  /**
+   * Throws if no password can satisfy the policy.
+   */
+  _assertSatisfiable() {
+    const prefixChars = [...this.prefix];
+    const slots = this.length - prefixChars.length;
+
+    const excludedPrefix = prefixChars.filter((char) => this.excluded.has(char));
+    if (excludedPrefix.length) {
+      throw new PolicyError(`prefix contains excluded character(s) ${excludedPrefix.join(' ')}`, 'prefix');
+    }
+    // Same rule as the 'charset' check of validate()
+    const disabledPrefix = prefixChars.filter((char) => !this.pools[this.classify(char)] && !this.customCharset.includes(char));
+    if (disabledPrefix.length) {
+      throw new PolicyError(`prefix contains character(s) of a disabled class: ${[...new Set(disabledPrefix)].join(' ')}`, 'prefix');
+    }
+    if (slots > 0 && !this.pool) {
+      throw new PolicyError('every character is excluded, nothing is left to generate from', 'charset');
+    }
+
+    const counts = this._countClasses(prefixChars);
+    const missing = {};
+    for (const name of Object.keys(CLASS_OPTIONS)) {
+      missing[name] = Math.max(0, this.minimums[name] - counts[name]);
+    }
+    const required = Object.values(missing).reduce((sum, count) => sum + count, 0);
+    if (required > slots) {
+      throw new PolicyError(`minimum character counts need ${required} characters, but only ${slots} are available`, 'length');
+    }
+
+    // Classes each free slot can hold: its position rule, or any enabled class
+    const enabled = Object.keys(CLASS_OPTIONS).filter((name) => this.pools[name]);
+    const slotClasses = Array.from({ length: slots }, () => enabled);
+    for (const { index, classes } of this.positions) {
+      if (index >= prefixChars.length) slotClasses[index - prefixChars.length] = classes.filter((name) => this.pools[name]);
+    }
+
+    // Hall's condition: every group of classes needs at least as many slots able to hold one of them
+    const names = Object.keys(CLASS_OPTIONS);
+    for (let mask = 1; mask < 1 << names.length; mask++) {
+      const group = names.filter((_, i) => mask & (1 << i));
+      const needed = group.reduce((sum, name) => sum + missing[name], 0);
+      const available = slotClasses.filter((classes) => classes.some((name) => group.includes(name))).length;
+      if (needed > available) {
+        const labels = group.map((name) => CLASS_OPTIONS[name].label).join(', ');
+        throw new PolicyError(`minimum ${labels} counts need ${needed} characters, but the position rules leave only ${available} position(s) for them`, 'positions');
+      }
+    }
+
+    if (this.noRepeating && this.pool.length < 2 && slots > 1) {
+      throw new PolicyError('noRepeating needs at least two distinct allowed characters', 'noRepeating');
+    }
+  }
+}
+
+module.exports = {
+  PasswordPolicy, PolicyError, CHARSETS, SIMILAR_CHARACTERS
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto'); // Import the 'crypto' module for secure randomness
+
+// Largest request accepted by getRandomValues in a single call
+const MAX_GETRANDOMVALUES_BYTES = 65536;
+
+/**
+ * Cryptographically secure random source.
+ * Uses Web Crypto's getRandomValues when available, otherwise crypto.randomBytes.
+ */
+class CryptoRandom {
+  /**
+   * Generates an array of random bytes with the specified length.
+   *
+   * @param {number} length - Number of bytes to generate.
+   * @returns {Uint8Array} - Array of random bytes.
+   */
+  bytes(length) {
+    const webcrypto = crypto.webcrypto || globalThis.crypto;
+    if (webcrypto && typeof webcrypto.getRandomValues === 'function') {
+      const out = new Uint8Array(length);
+      for (let offset = 0; offset < length; offset += MAX_GETRANDOMVALUES_BYTES) {
+        webcrypto.getRandomValues(out.subarray(offset, Math.min(offset + MAX_GETRANDOMVALUES_BYTES, length)));
+      }
+      return out;
+    }
+    return new Uint8Array(crypto.randomBytes(length));
+  }
+}
+
+/**
+ * Deterministic, seedable random source (sfc32).
+ * NOT cryptographically secure: intended for tests and reproducible output only.
+ */
+class SeededRandom {
+  /**
+   * @param {number|string} seed - Seed value; the same seed always yields the same stream.
+   */
+  constructor(seed = 0) {
+    this.state = SeededRandom._hashSeed(String(seed));
+  }
+
+  /**
+   * Generates an array of pseudo-random bytes with the specified length.
+   *
+   * @param {number} length - Number of bytes to generate.
+   * @returns {Uint8Array} - Array of pseudo-random bytes.
+   */
+  bytes(length) {
+    const out = new Uint8Array(length);
+    for (let i = 0; i < length; i += 4) {
+      const word = this._next();
+      for (let j = 0; j < 4 && i + j < length; j++) {
+        out[i + j] = (word >>> (24 - j * 8)) & 0xff;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Advances the sfc32 state and returns the next 32-bit word.
+   *
+   * @returns {number} - Unsigned 32-bit integer.
+   */
+  _next() {
+    let [a, b, c, d] = this.state;
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    this.state = [a, b, c, d];
+    return t >>> 0;
+  }
+
+  /**
+   * Derives a 128-bit initial state from a seed string (cyrb128).
+   *
+   * @param {string} str - Seed string.
+   * @returns {number[]} - Four 32-bit state words.
+   */
+  static _hashSeed(str) {
+    let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+    for (let i = 0; i < str.length; i++) {
+      const k = str.charCodeAt(i);
+      h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+      h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+      h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+      h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+    return [(h1 ^ h2 ^ h3 ^ h4) | 0, (h2 ^ h1) | 0, (h3 ^ h1) | 0, (h4 ^ h1) | 0];
+  }
+}
+
+/**
+ * Draws an unbiased integer in [0, max) from a random source using rejection sampling.
+ *
+ * @param {{bytes: function(number): Uint8Array}} rng - Random source.
+ * @param {number} max - Maximum value (exclusive), between 1 and 2^32.
+ * @returns {number} - Uniformly distributed integer.
+ */
+function randomInt(rng, max) {
+  if (!Number.isInteger(max) || max < 1 || max > 0x100000000) {
+    throw new RangeError(`max must be an integer between 1 and 2^32, got ${max}`);
+  }
+  // Values at or above the limit would favour the lowest residues, so they are redrawn
+  const limit = 0x100000000 - (0x100000000 % max);
+  for (;;) {
+    const b = rng.bytes(4);
+    const value = ((b[0] << 24) | (b[1] << 16) | (b[2] << 8) | b[3]) >>> 0;
+    if (value < limit) return value % max;
+  }
+}
+
+/**
+ * Computes Pearson's chi-square statistic for observed counts against a uniform expectation.
+ *
+ * @param {number[]} observed - Observed count per category.
+ * @returns {Object} - Statistic, degrees of freedom and upper-tail p-value.
+ */
+function chiSquare(observed) {
+  const total = observed.reduce((sum, count) => sum + count, 0);
+  const expected = total / observed.length;
+  const statistic = observed.reduce((sum, count) => sum + ((count - expected) ** 2) / expected, 0);
+  const degreesOfFreedom = observed.length - 1;
+  return { statistic, degreesOfFreedom, pValue: chiSquarePValue(statistic, degreesOfFreedom) };
+}
+
+/**
+ * Upper-tail probability of the chi-square distribution (Wilson-Hilferty approximation).
+ *
+ * @param {number} x - Chi-square statistic.
+ * @param {number} k - Degrees of freedom.
+ * @returns {number} - Probability of a statistic at least this large under uniformity.
+ */
+function chiSquarePValue(x, k) {
+  if (k <= 0) return 1;
+  const variance = 2 / (9 * k);
+  const z = (Math.cbrt(x / k) - (1 - variance)) / Math.sqrt(variance);
+  return 1 - normalCdf(z);
+}
+
+/**
+ * Standard normal cumulative distribution function (Abramowitz & Stegun 7.1.26).
+ *
+ * @param {number} z - Standard score.
+ * @returns {number} - P(Z <= z).
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+module.exports = {
+  CryptoRandom, SeededRandom, randomInt, chiSquare
+};
@@ -0,0 +1,75 @@
+// Dictionary matching benchmark: node scripts/benchmark.js [corpus-file] [count]
+// The corpus file is newline-delimited; without one, a corpus is generated from the dictionary and random passwords.
+const fs = require('fs');
+const psw = require('../psw.js');
+const { CipherCraft, CipherForge, SeededRandom } = require('../index.js');
+const { Dictionary } = require('../dictionary.js');
+
+const count = parseInt(process.argv[3], 10) || 100;
+
+/**
+ * Previous implementation: one RegExp per dictionary word, compiled on every call.
+ *
+ * @param {string} password - Password to score.
+ * @returns {number} - Dictionary score.
+ */
+function legacyDictionaryScore(password) {
+  let characterCountInDictionary = 0;
+  const uniqueWordsInPassword = [];
+  for (let i = 0; i < psw.pwd.length; i++) {
+    const word = psw.pwd[i];
+    if (/^[a-zA-Z0-9]+$/.test(word)) {
+      const regex = new RegExp('\\b(' + word + ')\\b', 'g');
+      if (password.match(regex) && !uniqueWordsInPassword.includes(word)) {
+        uniqueWordsInPassword.push(word);
+        characterCountInDictionary += word.length;
+      }
+    }
+  }
+  return 100 - ((characterCountInDictionary / password.length) * 100);
+}
+
+/**
+ * Loads the corpus file, or builds a reproducible one: half dictionary words with
+ * decorations, half random passwords.
+ *
+ * @returns {string[]} - Passwords.
+ */
+function loadCorpus() {
+  if (process.argv[2]) {
+    return fs.readFileSync(process.argv[2], 'utf8').split(/\r?\n/).filter(Boolean).slice(0, count);
+  }
+  const craft = new CipherCraft({ rng: new SeededRandom('benchmark') });
+  return Array.from({ length: count }, (_, i) => (i % 2
+    ? craft.CustomPassword({ length: 16 })
+    : `x${psw.pwd[craft.RandInt(psw.pwd.length)]}${craft.RandInt(100)}!`));
+}
+
+/**
+ * Times a function over every password in the corpus.
+ *
+ * @param {string} label - Name to print.
+ * @param {string[]} corpus - Passwords.
+ * @param {function(string): *} fn - Function to time.
+ * @returns {number} - Elapsed milliseconds.
+ */
+function time(label, corpus, fn) {
+  const start = process.hrtime.bigint();
+  for (const password of corpus) fn(password);
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${label.padEnd(28)} ${elapsed.toFixed(1).padStart(10)} ms  ${(elapsed / corpus.length).toFixed(3)} ms/password`);
+  return elapsed;
+}
+
+const corpus = loadCorpus();
+const forge = new CipherForge();
+console.log(`${corpus.length} passwords\n`);
+
+const buildStart = process.hrtime.bigint();
+Dictionary.passwords().index;
+const build = Number(process.hrtime.bigint() - buildStart) / 1e6;
+console.log(`${'index build (once)'.padEnd(28)} ${build.toFixed(1).padStart(10)} ms`);
+const legacy = time('legacy RegExp loop', corpus, legacyDictionaryScore);
+const indexed = time('indexed (Aho-Corasick)', corpus, (password) => forge._calculateDictionaryScore(password));
+
+console.log(`\nspeedup: ${(legacy / indexed).toFixed(0)}x (${(legacy / (indexed + build)).toFixed(0)}x including the index build)`);
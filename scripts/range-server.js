@@ -0,0 +1,13 @@
+// Serves a local Pwned Passwords range-file directory over the /range/{prefix} API:
+// node scripts/range-server.js <directory> [port]
+const { createRangeServer } = require('../breach.js');
+
+const [directory, port = 8080] = process.argv.slice(2);
+if (!directory) {
+  console.error('usage: node scripts/range-server.js <directory> [port]');
+  process.exit(2);
+}
+
+createRangeServer(directory).listen(Number(port), () => {
+  console.log(`Serving ${directory} on http://localhost:${port}/range/{prefix}`);
+});
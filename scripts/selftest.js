@@ -0,0 +1,14 @@
+// Chi-square uniformity check of CipherCraft output: node scripts/selftest.js [samples]
+const { CipherCraft } = require('../index.js');
+
+const craft = new CipherCraft();
+const samples = parseInt(process.argv[2], 10) || 200000;
+let failed = false;
+
+for (const [name, charset] of Object.entries({ ...craft.charsets, all: Object.values(craft.charsets).join('') })) {
+  const result = craft.SelfTest({ charset, samples });
+  failed = failed || !result.passed;
+  console.log(`${result.passed ? 'PASS' : 'FAIL'} ${name.padEnd(10)} chi2=${result.statistic.toFixed(2)} df=${result.degreesOfFreedom} p=${result.pValue.toFixed(4)}`);
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { BreachStore, BreachChecker, createRangeServer, sha1 } = require('../breach.js');
+const { CipherForge } = require('../index.js');
+
+const BREACHED = { password: 9659365, '123456': 37359195, letmein: 2, qwerty: 3 };
+
+/**
+ * Writes a range-file store holding the given passwords plus filler lines around them.
+ *
+ * @param {string} directory - Store directory.
+ */
+function writeStore(directory) {
+  const ranges = {};
+  for (const [password, count] of Object.entries(BREACHED)) {
+    const hash = sha1(password);
+    const lines = (ranges[hash.slice(0, 5)] = ranges[hash.slice(0, 5)] || []);
+    lines.push(`${hash.slice(5)}:${count}`);
+    // Neighbours on both sides make the binary search do real work
+    for (const filler of ['0', '7', 'F']) lines.push(`${filler.repeat(35)}:1`);
+  }
+  for (const [prefix, lines] of Object.entries(ranges)) {
+    fs.writeFileSync(path.join(directory, `${prefix}.txt`), `${[...new Set(lines)].sort().join('\r\n')}\r\n`);
+  }
+}
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cipherforge-breach-'));
+writeStore(directory);
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('BreachStore finds every breached hash and misses others', () => {
+  const store = new BreachStore(directory);
+  for (const [password, count] of Object.entries(BREACHED)) {
+    assert.equal(store.lookup(sha1(password)), count, password);
+    assert.equal(store.lookup(sha1(password).toLowerCase()), count, password);
+  }
+  assert.equal(store.lookup(sha1('not breached at all')), 0);
+  assert.equal(store.lookup(`${sha1('password').slice(0, 5)}${'7'.repeat(35)}`), 1);
+});
+
+test('binary search handles the first and last lines of a range', () => {
+  const buffer = Buffer.from(['A'.repeat(35), 'B'.repeat(35), 'C'.repeat(35)].map((suffix, i) => `${suffix}:${i + 1}`).join('\n'));
+  assert.equal(BreachStore._binarySearch(buffer, 'A'.repeat(35)), 1);
+  assert.equal(BreachStore._binarySearch(buffer, 'C'.repeat(35)), 3);
+  assert.equal(BreachStore._binarySearch(buffer, 'D'.repeat(35)), 0);
+  assert.equal(BreachStore._binarySearch(Buffer.alloc(0), 'A'.repeat(35)), 0);
+});
+
+test('range returns the raw file and validates the prefix', () => {
+  const store = new BreachStore(directory);
+  assert.match(store.range(sha1('password').slice(0, 5).toLowerCase()), /^[0-9A-F]{35}:\d+\r\n/);
+  assert.equal(store.range('00000'), '');
+  assert.throws(() => store.range('XYZ'), RangeError);
+  assert.throws(() => new BreachStore(path.join(directory, 'missing')), /not found/);
+});
+
+test('the range server answers BreachChecker mirror lookups', async (t) => {
+  const server = createRangeServer(directory);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const mirror = new BreachChecker({ url });
+  assert.equal(await mirror.check('123456'), BREACHED['123456']);
+  assert.equal(await mirror.check('not breached at all'), 0);
+  assert.throws(() => mirror.checkSync('password'), /local store/);
+
+  const status = (pathname) => new Promise((resolve, reject) => {
+    http.get(`${url}${pathname}`, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    }).on('error', reject);
+  });
+  assert.equal(await status('/range/ZZZZZ'), 400);
+  assert.equal(await status('/other'), 404);
+});
+
+test('CipherForge reports breach counts from a local store and rejects mirrors', () => {
+  const forge = new CipherForge({ breaches: directory });
+  assert.equal(forge.Test('letmein').details.breachCount, 2);
+  assert.equal(forge.Test('Kq7#vL2$mZ9!').details.breachCount, 0);
+  assert.throws(() => new CipherForge({ breaches: { url: 'http://127.0.0.1:1' } }), TypeError);
+});
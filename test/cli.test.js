@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { run, parseArgs } = require('../cli.js');
+
+/**
+ * Runs the command line with in-memory streams.
+ *
+ * @param {string[]} argv - Arguments.
+ * @param {string} input - Standard input.
+ * @returns {Promise<Object>} - { code, stdout, stderr }.
+ */
+async function cli(argv, input = '') {
+  const io = { stdin: new PassThrough(), stdout: new PassThrough(), stderr: new PassThrough() };
+  let stdout = '';
+  let stderr = '';
+  io.stdout.on('data', (chunk) => { stdout += chunk; });
+  io.stderr.on('data', (chunk) => { stderr += chunk; });
+  io.stdin.end(input);
+  const code = await run(argv, io);
+  return { code, stdout, stderr };
+}
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cipherforge-cli-'));
+const exportFile = path.join(directory, 'passwords.txt');
+fs.writeFileSync(exportFile, 'password\r\n\nCorrect-Horse-Battery-9-Staple!\nqwerty,"x"\n');
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('parseArgs camelCases flags, types values and stops at --', () => {
+  const { positionals, options } = parseArgs(['password', '--min-upper', '2', '--exclude=01', '--no-symbols', '--exclude-similar', '--', '--length']);
+  assert.deepEqual(positionals, ['password', '--length']);
+  assert.equal(options.minUpper, 2);
+  assert.equal(options.exclude, '01');
+  assert.equal(options.useSymbols, false);
+  assert.equal(options.excludeSimilar, true);
+});
+
+test('generate prints one secret per line', async () => {
+  const { code, stdout } = await cli(['generate', '--count', '3', '--length', '16', '--no-symbols']);
+  assert.equal(code, 0);
+  const lines = stdout.trim().split('\n');
+  assert.equal(lines.length, 3);
+  for (const line of lines) assert.match(line, /^[A-Za-z0-9]{16}$/);
+
+  const json = await cli(['generate', 'passphrase', '--words', '4', '--json']);
+  assert.equal(JSON.parse(json.stdout).passphrase.split('-').length, 4);
+});
+
+test('test exits 0 or 1 with the policy verdict', async () => {
+  const weak = await cli(['test', 'password123']);
+  assert.equal(weak.code, 1);
+  assert.deepEqual(JSON.parse(weak.stdout).failures, ['isSecure']);
+
+  const strong = await cli(['test', '--stdin', '--min-score', '3'], 'Correct-Horse-Battery-9-Staple!\n');
+  assert.equal(strong.code, 0);
+  assert.equal(JSON.parse(strong.stdout).passed, true);
+
+  const dashed = await cli(['test', '--min-score', '0', '--', '--weird']);
+  assert.equal(dashed.code, 0);
+  assert.equal(JSON.parse(dashed.stdout).passed, true);
+});
+
+test('usage and input errors exit 2', async () => {
+  const none = await cli([]);
+  assert.equal(none.code, 2);
+  assert.equal(none.stdout, '');
+  assert.match(none.stderr, /^Usage:/);
+
+  assert.equal((await cli(['--help'])).code, 0);
+  assert.equal((await cli(['frobnicate'])).code, 2);
+  assert.equal((await cli(['test'])).code, 2);
+  assert.equal((await cli(['test', 'x', '--max-breaches', '0'])).code, 2);
+  assert.equal((await cli(['audit', path.join(directory, 'missing.txt')])).code, 2);
+  assert.equal((await cli(['audit', exportFile, '--output', path.join(directory, 'no', 'dir.json')])).code, 2);
+});
+
+test('audit writes JSON records and a summary without the passwords', async () => {
+  const { code, stdout } = await cli(['audit', exportFile, '--min-score', '3', '--policy', '{"minSymbols":1}']);
+  assert.equal(code, 1);
+  const report = JSON.parse(stdout);
+
+  assert.deepEqual(report.results.map((record) => [record.line, record.passed]), [[1, false], [3, true], [4, false]]);
+  assert.deepEqual(report.results[0].failures, ['minScore', 'policy:length', 'policy:minUpper', 'policy:minNumbers', 'policy:minSymbols']);
+  assert.equal(report.results[0].password, undefined);
+
+  const { summary } = report;
+  assert.equal(summary.total, 3);
+  assert.equal(summary.passed, 1);
+  assert.equal(summary.failed, 2);
+  assert.equal(Object.values(summary.scoreHistogram).reduce((sum, count) => sum + count, 0), 3);
+  assert.equal(Object.values(summary.totalScoreHistogram).reduce((sum, count) => sum + count, 0), 3);
+  assert.equal(summary.failureCounts.minScore, 2);
+});
+
+test('audit writes CSV to a file and the summary to standard error', async () => {
+  const output = path.join(directory, 'report.csv');
+  const { code, stderr } = await cli(['audit', '-', '--format', 'csv', '--show-passwords', '--output', output], 'Correct-Horse-Battery-9-Staple!\nqwerty,"x"\n');
+  assert.equal(code, 1);
+
+  const rows = fs.readFileSync(output, 'utf8').trim().split('\n');
+  assert.equal(rows[0], 'line,length,passed,failures,totalScore,isSecure,score,entropy,guesses,password');
+  assert.match(rows[1], /^1,31,true,,[\d.]+,true,4,[\d.]+,[\de.+]+,Correct-Horse-Battery-9-Staple!$/);
+  assert.match(rows[2], /^2,10,false,isSecure,.*,"qwerty,""x"""$/);
+  assert.equal(JSON.parse(stderr).total, 2);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CipherForge } = require('../index.js');
+const { DictionaryIndex } = require('../dictionary.js');
+
+const index = new DictionaryIndex(['password', 'password1', 'pass', 'word', 'ass']);
+
+test('search reports every overlapping span with its rank', () => {
+  const spans = index.search('xPassword1x', 3).map(({ i, j, token, word, rank }) => [i, j, token, word, rank]);
+  assert.deepEqual(spans.sort((a, b) => a[0] - b[0] || a[1] - b[1]), [
+    [1, 4, 'Pass', 'pass', 3],
+    [1, 8, 'Password', 'password', 1],
+    [1, 9, 'Password1', 'password1', 2],
+    [2, 4, 'ass', 'ass', 5],
+    [5, 8, 'word', 'word', 4],
+  ]);
+});
+
+test('search skips words shorter than the minimum length', () => {
+  assert.deepEqual(index.search('xassx', 4), []);
+});
+
+test('rank is case-insensitive and undefined for unknown words', () => {
+  assert.equal(index.rank('PassWord'), 1);
+  assert.equal(index.rank('nope'), undefined);
+});
+
+test('search agrees with a brute-force scan', () => {
+  const words = ['abc', 'bca', 'cab', 'abcab', 'aa', 'b'];
+  const small = new DictionaryIndex(words);
+  const text = 'AbCaBcAaBcAb';
+  const expected = [];
+  for (let i = 0; i < text.length; i++) {
+    for (let j = i; j < text.length; j++) {
+      const rank = words.indexOf(text.slice(i, j + 1).toLowerCase()) + 1;
+      if (rank) expected.push([i, j, rank]);
+    }
+  }
+  const actual = small.search(text, 1).map(({ i, j, rank }) => [i, j, rank]);
+  const order = (a, b) => a[0] - b[0] || a[1] - b[1];
+  assert.deepEqual(actual.sort(order), expected.sort(order));
+});
+
+test('Test finds dictionary words inside other characters, whatever their case', () => {
+  const forge = new CipherForge();
+  const words = forge.Test('xPASSWORD1x').dictionaryMatches.map((match) => match.word);
+  assert.ok(words.includes('password'));
+  assert.ok(words.includes('password1'));
+  assert.ok(forge.Test('xpassword1x').details.dictionaryScore < 50);
+});
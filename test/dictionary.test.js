@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { CipherForge, Dictionary } = require('../index.js');
+
+const forge = new CipherForge({ defaultDictionaries: false });
+
+test('wordlist files load plain or gzip-compressed, most common first', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cipherforge-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const plain = path.join(directory, 'words.txt');
+  const gzip = path.join(directory, 'words.txt.gz');
+  fs.writeFileSync(plain, 'acme\r\n\nwidget\n');
+  fs.writeFileSync(gzip, zlib.gzipSync('acme\nwidget\n'));
+
+  assert.deepEqual(Dictionary.readWordlist(plain), ['acme', 'widget']);
+  const dictionary = new Dictionary({ name: 'company', file: gzip, weight: 2 });
+  assert.deepEqual(dictionary.search('MyWidget', 3), [
+    { i: 2, j: 7, token: 'Widget', word: 'widget', rank: 2, dictionaryName: 'company', weight: 2 },
+  ]);
+});
+
+test('user-input matches say which input they came from', () => {
+  const { dictionaryMatches } = forge.Test('jdoe-Acme2024', {
+    userInputs: { username: 'jdoe', company: 'Acme Corp' },
+  });
+  const attributed = dictionaryMatches.map((match) => [match.token, match.dictionaryName, match.input]);
+  assert.deepEqual(attributed, [['jdoe', 'userInputs', 'username'], ['Acme', 'userInputs', 'company']]);
+});
+
+test('email-like inputs are split into their parts', () => {
+  const { dictionaryMatches } = forge.Test('doe!example', { userInputs: { email: 'john.doe@example.com' } });
+  assert.deepEqual(dictionaryMatches.map((match) => match.word), ['doe', 'example']);
+});
+
+test('userInputs may be a list, a single string or null', () => {
+  assert.equal(forge.Test('xjohnx', { userInputs: ['john'] }).dictionaryMatches[0].input, undefined);
+  assert.equal(forge.Test('xjohnx', { userInputs: 'john' }).dictionaryMatches[0].word, 'john');
+  assert.deepEqual(forge.Test('xjohnx', { userInputs: null }).dictionaryMatches, []);
+  assert.throws(() => forge.Test('xjohnx', { userInputs: 42 }), TypeError);
+});
+
+test('per-call dictionaries are named and weighted', () => {
+  const [match] = forge.Test('xWidgetx', { dictionaries: [{ name: 'products', words: ['widget'], weight: 3 }] }).dictionaryMatches;
+  assert.equal(match.dictionaryName, 'products');
+  assert.equal(match.weight, 3);
+});
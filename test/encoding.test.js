@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encode, base32, baseN, crc32, BASE58_ALPHABET } = require('../encoding.js');
+
+const bytes = (text) => Buffer.from(text, 'utf8');
+
+test('base32 matches the RFC 4648 section 10 test vectors', () => {
+  const vectors = {
+    '': '',
+    f: 'MY======',
+    fo: 'MZXQ====',
+    foo: 'MZXW6===',
+    foob: 'MZXW6YQ=',
+    fooba: 'MZXW6YTB',
+    foobar: 'MZXW6YTBOI======',
+  };
+  for (const [input, output] of Object.entries(vectors)) {
+    assert.equal(base32(bytes(input)), output, input);
+    assert.equal(encode(bytes(input), 'base32'), output, input);
+  }
+});
+
+test('crockford base32 is unpadded and avoids I, L, O and U', () => {
+  assert.equal(encode(bytes('foobar'), 'crockford'), 'CSQPYRK1E8');
+  assert.doesNotMatch(encode(new Uint8Array(64).fill(0xff), 'crockford'), /[ILOU=]/);
+});
+
+test('base58 keeps leading zero bytes as leading ones', () => {
+  assert.equal(baseN(bytes('Hello World!'), BASE58_ALPHABET), '2NEpo7TZRRrLZSi2U');
+  assert.equal(baseN(Uint8Array.of(0, 0, 1), BASE58_ALPHABET), '112');
+});
+
+test('baseN pads to a fixed width', () => {
+  assert.equal(baseN(Uint8Array.of(0, 1), '0123456789', 5), '00001');
+});
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32('123456789'), 0xcbf43926);
+  assert.equal(crc32(''), 0);
+  assert.equal(crc32(bytes('123456789')), 0xcbf43926);
+});
+
+test('unknown encodings throw', () => {
+  assert.throws(() => encode(bytes('x'), 'base36'), RangeError);
+});
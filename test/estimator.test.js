@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CipherForge } = require('../index.js');
+
+const forge = new CipherForge();
+const patterns = (password) => forge.Estimate(password).sequence.map((match) => match.pattern);
+
+test('keyboard walks are matched as spatial patterns', () => {
+  assert.deepEqual(patterns('kjhgfdsa'), ['spatial']);
+  assert.deepEqual(patterns('3edc4rfv'), ['spatial', 'spatial']);
+  assert.ok(forge.Estimate('kjhgfdsa').score <= 1);
+});
+
+test('l33t and reversed dictionary words are matched', () => {
+  const [l33t] = forge.Estimate('p4ssw0rd').sequence;
+  assert.equal(l33t.pattern, 'dictionary');
+  assert.equal(l33t.l33t, true);
+  assert.equal(l33t.matchedWord, 'password');
+
+  const [reversed] = forge.Estimate('drowssap').sequence;
+  assert.equal(reversed.reversed, true);
+});
+
+test('dates, years, repeats and sequences are matched', () => {
+  assert.deepEqual(patterns('13/05/1987'), ['date']);
+  assert.deepEqual(patterns('1987'), ['year']);
+  assert.deepEqual(patterns('abababab'), ['repeat']);
+  assert.deepEqual(patterns('abcdefg'), ['sequence']);
+});
+
+test('weak patterns score low and random strings score high', () => {
+  for (const password of ['qwertyuiop', 'p4ssw0rd', 'abababab', '1987']) {
+    assert.equal(forge.Estimate(password).score, 0, password);
+  }
+  assert.equal(forge.Estimate('K7#mQ2$vL9').score, 3);
+  assert.equal(forge.Estimate('correcthorsebatterystaple').score, 4);
+});
+
+test('long input is estimated quickly, with the tail scored as bruteforce', () => {
+  const started = Date.now();
+  const result = forge.Test('a'.repeat(5000));
+  assert.ok(Date.now() - started < 2000, `took ${Date.now() - started} ms`);
+
+  const { sequence } = forge.Estimate('a'.repeat(150));
+  assert.deepEqual(sequence.map((match) => [match.pattern, match.i, match.j]), [['repeat', 0, 99], ['bruteforce', 100, 149]]);
+  assert.ok(Number.isFinite(result.estimate.guesses));
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hash, verify, needsRehash } = require('../hash.js');
+
+// Low costs keep the suite fast; the defaults are covered by needsRehash
+const FAST_SCRYPT = { ln: 10 };
+const FAST_PBKDF2 = { algorithm: 'pbkdf2', iterations: 1000 };
+
+test('scrypt hashes round-trip as PHC strings', async () => {
+  const encoded = await hash('correct horse', FAST_SCRYPT);
+  assert.match(encoded, /^\$scrypt\$ln=10,r=8,p=1\$[A-Za-z0-9+/]+\$[A-Za-z0-9+/]+$/);
+  assert.equal((await verify('correct horse', encoded)).valid, true);
+  assert.equal((await verify('correct horsE', encoded)).valid, false);
+});
+
+test('pbkdf2 hashes round-trip as PHC strings', async () => {
+  const encoded = await hash('correct horse', { ...FAST_PBKDF2, digest: 'sha512' });
+  assert.match(encoded, /^\$pbkdf2-sha512\$i=1000\$/);
+  assert.equal((await verify('correct horse', encoded)).valid, true);
+  assert.equal((await verify('wrong', encoded)).valid, false);
+});
+
+test('passwords are NFC-normalized before hashing', async () => {
+  const encoded = await hash('café', FAST_SCRYPT);
+  assert.equal((await verify('café', encoded)).valid, true);
+});
+
+test('salts are random', async () => {
+  assert.notEqual(await hash('pw', FAST_SCRYPT), await hash('pw', FAST_SCRYPT));
+});
+
+test('hash rejects options verify could not accept', async () => {
+  for (const options of [{ keyLength: 200 }, { r: 33 }, { saltLength: 0 }, { ln: 23 }, { ...FAST_PBKDF2, iterations: 0 }]) {
+    await assert.rejects(hash('pw', options), RangeError);
+  }
+  await assert.rejects(hash('pw', { algorithm: 'bcrypt' }), RangeError);
+});
+
+test('very small scrypt costs still hash and verify', async () => {
+  const encoded = await hash('pw', { ln: 1 });
+  assert.equal((await verify('pw', encoded)).valid, true);
+});
+
+test('verify rejects malformed and tampered hashes', async () => {
+  await assert.rejects(verify('pw', 'not a hash'), /malformed/);
+  await assert.rejects(verify('pw', '$bcrypt$i=1$c2FsdA$aGFzaA'), /unsupported/);
+  await assert.rejects(verify('pw', '$scrypt$ln=40,r=8,p=1$c2FsdA$aGFzaA'), /out of range/);
+});
+
+test('stored scrypt rows over the memory budget are rejected before deriving', async () => {
+  // 128 * 2^20 * 16 * 4 bytes = 8 GiB
+  const row = '$scrypt$ln=20,r=16,p=4$c2FsdHNhbHRzYWx0c2FsdA$aGFzaGhhc2hoYXNoaGFzaGhhc2hoYXNoaGFzaGhhc2g';
+  assert.throws(() => needsRehash(row), /memory/);
+  const started = Date.now();
+  await assert.rejects(verify('pw', row), /memory/);
+  assert.ok(Date.now() - started < 100);
+
+  await assert.rejects(hash('pw', { ln: 19, r: 8 }), /memory/);
+  assert.throws(() => needsRehash('$scrypt$ln=21,r=8,p=1$c2FsdA$aGFzaA'), /out of range/);
+});
+
+test('needsRehash flags weaker parameters and other algorithms', async () => {
+  const scrypt = await hash('pw', FAST_SCRYPT);
+  assert.equal(needsRehash(scrypt, FAST_SCRYPT), false);
+  assert.equal(needsRehash(scrypt, { ln: 11 }), true);
+  assert.equal(needsRehash(scrypt), true);
+  assert.equal(needsRehash(scrypt, { ...FAST_SCRYPT, keyLength: 64 }), true);
+
+  const pbkdf2 = await hash('pw', FAST_PBKDF2);
+  assert.equal(needsRehash(pbkdf2, FAST_PBKDF2), false);
+  assert.equal(needsRehash(pbkdf2, { ...FAST_PBKDF2, iterations: 2000 }), true);
+  assert.equal(needsRehash(pbkdf2, { ...FAST_PBKDF2, digest: 'sha512' }), true);
+  assert.equal(needsRehash(pbkdf2, FAST_SCRYPT), true);
+});
+
+test('verify reports rehash and the policy hook verdict', async () => {
+  const encoded = await hash('password1', FAST_SCRYPT);
+  const result = await verify('password1', encoded, {
+    params: { ln: 12 },
+    policy: async (password) => ({ isSecure: password.length > 12 }),
+  });
+  assert.deepEqual(result, { valid: true, needsRehash: true, forceReset: true, policy: { isSecure: false } });
+
+  let called = false;
+  const failed = await verify('wrong', encoded, { policy: () => { called = true; } });
+  assert.equal(failed.valid, false);
+  assert.equal(called, false);
+});
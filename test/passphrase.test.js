@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CipherCraft, SeededRandom } = require('../index.js');
+const { syllable, SYLLABLE_COUNT, WORDLISTS } = require('../passphrase.js');
+
+const cipher = new CipherCraft({ rng: new SeededRandom('passphrase') });
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('passphrases draw words from the EFF large list, log2(7776) bits each', () => {
+  assert.equal(WORDLISTS.long.length, 7776);
+  assert.equal(new Set(WORDLISTS.long).size, 7776);
+
+  const { passphrase, entropy } = cipher.Passphrase();
+  const words = passphrase.split('-');
+  assert.equal(words.length, 6);
+  for (const word of words) assert.ok(WORDLISTS.long.includes(word), word);
+  close(entropy, 6 * Math.log2(7776));
+});
+
+test('random capitalization, digits and symbols add their exact entropy', () => {
+  const { passphrase, entropy } = cipher.Passphrase({ words: 4, separator: ' ', capitalize: 'random', digit: true, symbol: true });
+  assert.equal(passphrase.split(' ').length, 4);
+  assert.match(passphrase, /[0-9]/);
+  const symbols = cipher.charsets.symbols.length;
+  close(entropy, 4 * Math.log2(7776) + 4 + Math.log2(4 * 10) + Math.log2(4 * symbols));
+
+  close(cipher.Passphrase({ words: 4, capitalize: 'words' }).entropy, 4 * Math.log2(7776));
+});
+
+test('custom wordlists are deduplicated before computing entropy', () => {
+  const { passphrase, entropy } = cipher.Passphrase({ words: 3, wordlist: ['Red', 'red', 'green', 'blue', 'teal'] });
+  assert.match(passphrase, /^(red|green|blue|teal)(-(red|green|blue|teal)){2}$/);
+  close(entropy, 3 * 2);
+  assert.throws(() => cipher.Passphrase({ wordlist: ['same', 'same'] }), RangeError);
+});
+
+test('pronounceable passwords use 680 syllables, log2(680) bits each', () => {
+  assert.equal(SYLLABLE_COUNT, 680);
+  const all = new Set(Array.from({ length: SYLLABLE_COUNT }, (_, i) => syllable(i)));
+  assert.equal(all.size, SYLLABLE_COUNT);
+  for (const text of all) assert.match(text, /^[bdfghjklmnprstvwz][aeiou][nrslmtk]?$/);
+
+  const { password, entropy } = cipher.Pronounceable({ syllables: 5, groupSize: 2 });
+  assert.match(password, /^[a-z]+-[a-z]+-[a-z]+$/);
+  close(entropy, 5 * Math.log2(680));
+});
+
+test('pronounceable options add the same entropy as passphrase options', () => {
+  const { password, entropy } = cipher.Pronounceable({ syllables: 8, capitalize: 'first', digit: true });
+  assert.match(password, /^[A-Z]/);
+  close(entropy, 8 * Math.log2(680) + Math.log2(4 * 10));
+});
+
+test('seeded generators are reproducible', () => {
+  const first = new CipherCraft({ rng: new SeededRandom(7) });
+  const second = new CipherCraft({ rng: new SeededRandom(7) });
+  assert.deepEqual(first.Passphrase(), second.Passphrase());
+  assert.deepEqual(first.Pronounceable(), second.Pronounceable());
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CipherCraft, PasswordPolicy, PolicyError, SeededRandom } = require('../index.js');
+
+const rules = (policy, password) => policy.validate(password).errors.map((error) => error.rule);
+
+test('validate accepts a password meeting every rule', () => {
+  const policy = new PasswordPolicy({ length: 8 });
+  assert.deepEqual(policy.validate('aB3$efgh'), { valid: true, errors: [] });
+});
+
+test('validate reports each broken rule', () => {
+  const policy = new PasswordPolicy({ length: 10, minSymbols: 2, prefix: 'cf_' });
+  assert.deepEqual(rules(policy, 'abc'), ['length', 'prefix', 'minUpper', 'minNumbers', 'minSymbols']);
+});
+
+test('validate checks exclusions, disabled classes, repeats and sequences', () => {
+  assert.deepEqual(rules(new PasswordPolicy({ length: 4, excludeSimilar: true }), 'aB1$'), ['exclude']);
+  assert.deepEqual(rules(new PasswordPolicy({ length: 4, useSymbols: false }), 'aB2$'), ['charset']);
+  assert.deepEqual(rules(new PasswordPolicy({ length: 4, noRepeating: true }), 'aB2$$'), ['noRepeating']);
+  assert.deepEqual(rules(new PasswordPolicy({ length: 4, noSequential: true }), 'xB$cba9'), ['noSequential']);
+});
+
+test('validate checks position rules, counting from the end when negative', () => {
+  const policy = new PasswordPolicy({ length: 4, positions: { 0: 'uppercase', '-1': ['numeric', 'symbols'] } });
+  assert.deepEqual(rules(policy, 'Ab$1'), []);
+  assert.deepEqual(rules(policy, 'aB$1'), ['positions']);
+  assert.deepEqual(rules(policy, 'A$1c'), ['positions']);
+});
+
+test('negative positions count from the end of passwords longer than length', () => {
+  const policy = new PasswordPolicy({ length: 8, positions: { '-1': 'numeric' } });
+  assert.deepEqual(rules(policy, 'abcDEFgh!9'), []);
+  assert.deepEqual(rules(policy, 'abcDE9gh!x'), ['positions']);
+  assert.match(policy.validate('abcDE9gh!x').errors[0].message, /character 10 /);
+});
+
+test('classify uses the policy charsets', () => {
+  const charsets = { lowercase: 'abc', uppercase: 'ABC', numeric: '123', symbols: '!?' };
+  const policy = new PasswordPolicy({ length: 4 }, charsets);
+  assert.equal(policy.classify('z'), 'symbols');
+  assert.equal(policy.classify('B'), 'uppercase');
+});
+
+test('impossible policies throw a PolicyError naming the rule', () => {
+  const impossible = [
+    [{ length: 3 }, 'length'],
+    [{ minUpper: 1, useUppercase: false }, 'minUpper'],
+    [{ length: 4, prefix: 'abcde' }, 'prefix'],
+    [{ useSymbols: false, prefix: 'cf_' }, 'prefix'],
+    [{ length: 4, positions: { 0: 'numeric', 1: 'numeric', 2: 'numeric' } }, 'positions'],
+    [{ length: 4, positions: { 4: 'numeric' } }, 'positions'],
+    [{ exclude: 'abcdefghijklmnopqrstuvwxyz' }, 'minLower'],
+    [{ exclude: 5 }, 'exclude'],
+    [{ customCharset: ['x'] }, 'customCharset'],
+  ];
+  for (const [options, rule] of impossible) {
+    assert.throws(() => new PasswordPolicy(options), (error) => error instanceof PolicyError && error.rule === rule, JSON.stringify(options));
+  }
+});
+
+test('generated passwords always pass the policy they were generated from', () => {
+  const cipher = new CipherCraft({ rng: new SeededRandom('policy') });
+  const policy = new PasswordPolicy({
+    length: 14,
+    minNumbers: 2,
+    minSymbols: 2,
+    excludeSimilar: true,
+    noRepeating: true,
+    noSequential: true,
+    prefix: 'K',
+    positions: { '-1': 'numeric' },
+  });
+  for (let i = 0; i < 200; i++) {
+    const password = cipher.CustomPassword(policy);
+    assert.equal(password.length, 14);
+    assert.deepEqual(policy.validate(password).errors, [], password);
+  }
+});
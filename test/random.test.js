@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CipherCraft, SeededRandom } = require('../index.js');
+const { randomInt, chiSquare } = require('../random.js');
+
+/**
+ * Random source replaying fixed 32-bit words.
+ *
+ * @param {number[]} words - Words to return, in order.
+ * @returns {Object} - Source exposing bytes(4).
+ */
+function replay(words) {
+  return {
+    bytes() {
+      const word = words.shift();
+      return Uint8Array.of(word >>> 24, (word >>> 16) & 0xff, (word >>> 8) & 0xff, word & 0xff);
+    },
+  };
+}
+
+test('randomInt redraws values that would bias the low residues', () => {
+  // For max = 3 the limit is 2^32 - 1, so 0xffffffff is rejected
+  assert.equal(randomInt(replay([0xffffffff, 7]), 3), 1);
+  assert.equal(randomInt(replay([0xfffffffe]), 3), 0xfffffffe % 3);
+});
+
+test('randomInt rejects bad ranges', () => {
+  for (const max of [0, -1, 1.5, 2 ** 32 + 1]) {
+    assert.throws(() => randomInt(replay([0]), max), RangeError);
+  }
+});
+
+test('SeededRandom streams are reproducible', () => {
+  assert.deepEqual(new SeededRandom('seed').bytes(32), new SeededRandom('seed').bytes(32));
+  assert.notDeepEqual(new SeededRandom('seed').bytes(32), new SeededRandom('other').bytes(32));
+
+  const first = new CipherCraft({ rng: new SeededRandom(42) });
+  const second = new CipherCraft({ rng: new SeededRandom(42) });
+  assert.equal(first.CustomPassword({ length: 20 }), second.CustomPassword({ length: 20 }));
+});
+
+test('chiSquare flags skewed counts', () => {
+  assert.ok(chiSquare([1000, 1000, 1000, 1000]).pValue > 0.5);
+  assert.ok(chiSquare([1300, 900, 900, 900]).pValue < 0.001);
+});
+
+test('SelfTest passes a uniform source, even with duplicate charset characters', () => {
+  const cipher = new CipherCraft({ rng: new SeededRandom('selftest') });
+  assert.equal(cipher.SelfTest({ samples: 20000 }).passed, true);
+
+  const duplicates = cipher.SelfTest({ charset: 'aab', samples: 20000 });
+  assert.equal(duplicates.degreesOfFreedom, 1);
+  assert.equal(duplicates.passed, true);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CipherCraft, SeededRandom } = require('../index.js');
+
+const cipher = new CipherCraft({ rng: new SeededRandom('tokens') });
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-([47])[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+test('Token encodes the requested number of bytes', () => {
+  assert.match(cipher.Token(), /^[0-9a-f]{64}$/);
+  assert.match(cipher.Token({ bytes: 10, encoding: 'base32' }), /^[A-Z2-7]{16}$/);
+  assert.equal(cipher.Token({ bytes: 16, encoding: 'buffer' }).length, 16);
+  assert.throws(() => cipher.Token({ bytes: 0 }), RangeError);
+});
+
+test('UUID v4 and v7 carry their version and variant bits', () => {
+  assert.equal(UUID.exec(cipher.UUID())[1], '4');
+  assert.equal(UUID.exec(cipher.UUID(7))[1], '7');
+  assert.throws(() => cipher.UUID(5), RangeError);
+});
+
+test('UUID v7 starts with the creation time in milliseconds', () => {
+  const before = Date.now();
+  const uuid = cipher.UUID(7);
+  const after = Date.now();
+  const time = parseInt(uuid.replace(/-/g, '').slice(0, 12), 16);
+  assert.ok(time >= before && time <= after);
+
+  const later = new CipherCraft().UUID(7);
+  assert.ok(uuid.slice(0, 8) <= later.slice(0, 8));
+});
+
+test('ApiKey checksums catch typos, truncation and wrong prefixes', () => {
+  const key = cipher.ApiKey();
+  assert.match(key, /^cf_live_[0-9A-Za-z]{39}$/);
+  assert.equal(cipher.VerifyApiKey(key), true);
+  assert.equal(cipher.VerifyApiKey(key, 'cf_live_'), true);
+  assert.equal(cipher.VerifyApiKey(key, 'cf_test_'), false);
+  assert.equal(cipher.VerifyApiKey(key.slice(0, -1)), false);
+
+  const typo = key.slice(0, 12) + (key[12] === 'a' ? 'b' : 'a') + key.slice(13);
+  assert.equal(cipher.VerifyApiKey(typo), false);
+  assert.equal(cipher.VerifyApiKey(12345), false);
+
+  const secretKey = cipher.ApiKey({ prefix: 'sk_', bytes: 16 });
+  assert.equal(cipher.VerifyApiKey(secretKey, 'sk_'), true);
+});
+
+test('TotpSecret returns an unpadded base32 secret and an otpauth URI', () => {
+  const { secret, uri } = cipher.TotpSecret({ account: 'jane@example.com', issuer: 'Acme Corp' });
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.equal(
+    uri,
+    `otpauth://totp/Acme%20Corp:jane%40example.com?secret=${secret}&issuer=Acme%20Corp&algorithm=SHA1&digits=6&period=30`,
+  );
+
+  const custom = cipher.TotpSecret({ account: 'jane', bytes: 32, algorithm: 'SHA256', digits: 8, period: 60 });
+  assert.match(custom.uri, /^otpauth:\/\/totp\/jane\?secret=[A-Z2-7]{52}&algorithm=SHA256&digits=8&period=60$/);
+});
+
+test('TotpSecret rejects weak or malformed options', () => {
+  for (const options of [{ bytes: 0 }, { bytes: 15 }, { bytes: -1 }, { digits: 0 }, { period: 1.5 }, { algorithm: 'MD5' }]) {
+    assert.throws(() => cipher.TotpSecret({ account: 'jane', ...options }), RangeError, JSON.stringify(options));
+  }
+  assert.throws(() => cipher.TotpSecret({}), TypeError);
+});